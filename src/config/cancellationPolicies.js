@@ -0,0 +1,62 @@
+// Cancellation policy presets. A listing picks one and may override any rule.
+//
+//   fullRefundDaysBeforeMoveIn     cancel at least this many days before move-in for a full refund
+//   lateCancellationRefundPercent  share of everything paid refunded when cancelling later (still before move-in)
+//   forfeitDepositAfterMoveIn      keep the deposit once the tenant has moved in
+//   noticePeriodDays               after move-in, rent is charged until this many days after cancelling
+const CANCELLATION_PRESETS = {
+  flexible: {
+    fullRefundDaysBeforeMoveIn: 1,
+    lateCancellationRefundPercent: 50,
+    forfeitDepositAfterMoveIn: false,
+    noticePeriodDays: 15
+  },
+  moderate: {
+    fullRefundDaysBeforeMoveIn: 7,
+    lateCancellationRefundPercent: 50,
+    forfeitDepositAfterMoveIn: true,
+    noticePeriodDays: 30
+  },
+  strict: {
+    fullRefundDaysBeforeMoveIn: 14,
+    lateCancellationRefundPercent: 0,
+    forfeitDepositAfterMoveIn: true,
+    noticePeriodDays: 30
+  }
+};
+
+const DEFAULT_CANCELLATION_PRESET = 'moderate';
+
+// Applied when the owner or staff cancel: everything back except rent for
+// the time already stayed
+const WAIVED_POLICY = {
+  preset: 'waived',
+  fullRefundDaysBeforeMoveIn: 0,
+  lateCancellationRefundPercent: 100,
+  forfeitDepositAfterMoveIn: false,
+  noticePeriodDays: 0
+};
+
+const POLICY_RULES = Object.keys(CANCELLATION_PRESETS[DEFAULT_CANCELLATION_PRESET]);
+
+// Preset rules merged with the listing's own overrides
+const resolvePolicy = (listingPolicy = {}) => {
+  const policy = listingPolicy || {};
+  const preset = CANCELLATION_PRESETS[policy.preset] ? policy.preset : DEFAULT_CANCELLATION_PRESET;
+  const rules = { preset, ...CANCELLATION_PRESETS[preset] };
+
+  POLICY_RULES.forEach(rule => {
+    if (policy[rule] !== undefined && policy[rule] !== null) {
+      rules[rule] = policy[rule];
+    }
+  });
+
+  return rules;
+};
+
+module.exports = {
+  CANCELLATION_PRESETS,
+  DEFAULT_CANCELLATION_PRESET,
+  WAIVED_POLICY,
+  resolvePolicy
+};
@@ -0,0 +1,102 @@
+// ================ ADMIN PORTAL PERMISSIONS ================
+
+const PERMISSIONS = {
+  LISTING_CREATE: 'listing:create',
+  LISTING_UPDATE: 'listing:update',
+  LISTING_DELETE: 'listing:delete',
+  LISTING_PUBLISH: 'listing:publish',
+  LISTING_FEATURE: 'listing:feature',
+  LISTING_VERIFY: 'listing:verify',
+  REVIEW_MODERATE: 'review:moderate',
+  REVIEW_DELETE: 'review:delete',
+  BOOKING_MANAGE: 'booking:manage',
+  PAYMENT_REFUND: 'payment:refund',
+  REPORT_MANAGE: 'report:manage',
+  USER_VIEW: 'user:view',
+  USER_SUSPEND: 'user:suspend',
+  STAFF_MANAGE: 'staff:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Permissions granted to each AdminUser role
+const ROLE_PERMISSIONS = {
+  superadmin: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS.filter(permission => permission !== PERMISSIONS.STAFF_MANAGE),
+  manager: [
+    PERMISSIONS.LISTING_CREATE,
+    PERMISSIONS.LISTING_UPDATE,
+    PERMISSIONS.LISTING_PUBLISH,
+    PERMISSIONS.LISTING_FEATURE,
+    PERMISSIONS.LISTING_VERIFY,
+    PERMISSIONS.BOOKING_MANAGE,
+    PERMISSIONS.REPORT_MANAGE,
+    PERMISSIONS.USER_VIEW
+  ],
+  moderator: [
+    PERMISSIONS.REVIEW_MODERATE,
+    PERMISSIONS.REVIEW_DELETE,
+    PERMISSIONS.REPORT_MANAGE,
+    PERMISSIONS.USER_VIEW
+  ]
+};
+
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// Portal roles from most to least senior
+const ROLE_RANK = ['superadmin', 'admin', 'manager', 'moderator'];
+
+// Whether `role` sits strictly above `other` (anyone outranks a non-staff user)
+const outranks = (role, other) => {
+  if (!ROLE_RANK.includes(role)) return false;
+  if (!ROLE_RANK.includes(other)) return true;
+  return ROLE_RANK.indexOf(role) < ROLE_RANK.indexOf(other);
+};
+
+// ================ BOOKINGS ================
+
+// Minutes a pending booking holds its bed before it expires
+const BOOKING_HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 30;
+
+// A freed bed passes straight to the next booking on it only if that booking
+// starts within this many days; otherwise the bed shows vacant until move-in
+const BED_HANDOVER_DAYS = parseInt(process.env.BED_HANDOVER_DAYS) || 7;
+
+// ================ RENT ================
+
+// Days after the due date before a late fee is charged
+const RENT_GRACE_DAYS = parseInt(process.env.RENT_GRACE_DAYS) || 5;
+
+// One-time late fee, as a percentage of the month's rent
+const RENT_LATE_FEE_PERCENT = parseFloat(process.env.RENT_LATE_FEE_PERCENT) || 5;
+
+// Days before the due date the "rent due soon" reminder goes out
+const RENT_REMINDER_DAYS_BEFORE = parseInt(process.env.RENT_REMINDER_DAYS_BEFORE) || 3;
+
+// ================ LISTING REPORTS ================
+
+// Distinct users with open reports that take a listing offline until staff review it
+const REPORT_AUTO_UNPUBLISH_THRESHOLD = parseInt(process.env.REPORT_AUTO_UNPUBLISH_THRESHOLD) || 3;
+
+// ================ REVIEWS ================
+
+// Optional 1-5 sub-ratings a review may give next to its overall rating
+const REVIEW_CATEGORIES = ['food', 'cleanliness', 'safety', 'value', 'ownerBehaviour'];
+
+module.exports = {
+  BOOKING_HOLD_MINUTES,
+  BED_HANDOVER_DAYS,
+  RENT_GRACE_DAYS,
+  RENT_LATE_FEE_PERCENT,
+  RENT_REMINDER_DAYS_BEFORE,
+  REPORT_AUTO_UNPUBLISH_THRESHOLD,
+  REVIEW_CATEGORIES,
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLE_RANK,
+  hasPermission,
+  outranks
+};
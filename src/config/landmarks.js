@@ -0,0 +1,114 @@
+const fs = require('fs');
+
+// Landmarks students search around. Coordinates are [lng, lat] (GeoJSON order).
+// Set LANDMARKS_FILE to a JSON file with the same shape to replace this list.
+const DEFAULT_LANDMARKS = [
+  {
+    slug: 'chandigarh-university',
+    name: 'Chandigarh University',
+    type: 'university',
+    city: 'Mohali',
+    coordinates: [76.5754, 30.7687],
+    aliases: ['cu', 'cu gharuan', 'chandigarh uni']
+  },
+  {
+    slug: 'panjab-university',
+    name: 'Panjab University',
+    type: 'university',
+    city: 'Chandigarh',
+    coordinates: [76.7660, 30.7600],
+    aliases: ['pu', 'pu chandigarh']
+  },
+  {
+    slug: 'chitkara-university',
+    name: 'Chitkara University',
+    type: 'university',
+    city: 'Rajpura',
+    coordinates: [76.6597, 30.5161],
+    aliases: ['chitkara']
+  },
+  {
+    slug: 'pgimer',
+    name: 'PGIMER',
+    type: 'hospital',
+    city: 'Chandigarh',
+    coordinates: [76.7760, 30.7646],
+    aliases: ['pgi']
+  },
+  {
+    slug: 'isbt-sector-43',
+    name: 'ISBT Sector 43',
+    type: 'bus_stand',
+    city: 'Chandigarh',
+    coordinates: [76.7537, 30.7219],
+    aliases: ['isbt 43', 'sector 43 bus stand']
+  },
+  {
+    slug: 'chandigarh-railway-station',
+    name: 'Chandigarh Railway Station',
+    type: 'railway_station',
+    city: 'Chandigarh',
+    coordinates: [76.8207, 30.7030],
+    aliases: ['chandigarh station']
+  },
+  {
+    slug: 'delhi-university-north-campus',
+    name: 'Delhi University North Campus',
+    type: 'university',
+    city: 'Delhi',
+    coordinates: [77.2090, 28.6880],
+    aliases: ['du', 'du north campus', 'north campus']
+  },
+  {
+    slug: 'vishwavidyalaya-metro',
+    name: 'Vishwavidyalaya Metro Station',
+    type: 'metro',
+    city: 'Delhi',
+    coordinates: [77.2148, 28.6954],
+    aliases: ['vishwavidyalaya']
+  },
+  {
+    slug: 'rajiv-chowk-metro',
+    name: 'Rajiv Chowk Metro Station',
+    type: 'metro',
+    city: 'Delhi',
+    coordinates: [77.2197, 28.6328],
+    aliases: ['rajiv chowk', 'cp metro']
+  }
+];
+
+const loadLandmarks = () => {
+  if (!process.env.LANDMARKS_FILE) {
+    return DEFAULT_LANDMARKS;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(process.env.LANDMARKS_FILE, 'utf8'));
+  } catch (error) {
+    console.error('❌ Could not load LANDMARKS_FILE, using defaults:', error.message);
+    return DEFAULT_LANDMARKS;
+  }
+};
+
+const landmarks = loadLandmarks();
+
+const getLandmarks = ({ type, city } = {}) => {
+  return landmarks
+    .filter(landmark => !type || landmark.type === type)
+    .filter(landmark => !city || landmark.city.toLowerCase() === city.toLowerCase());
+};
+
+// Look a landmark up by slug, name or alias (case-insensitive)
+const findLandmark = (value) => {
+  const needle = String(value || '').toLowerCase().trim();
+  return landmarks.find(landmark =>
+    landmark.slug === needle ||
+    landmark.name.toLowerCase() === needle ||
+    (landmark.aliases || []).includes(needle)
+  ) || null;
+};
+
+module.exports = {
+  getLandmarks,
+  findLandmark
+};
@@ -0,0 +1,32 @@
+// Words that hold a review for moderation. Matched as whole words, case
+// insensitive. Includes common romanised Hindi/Punjabi abuse since most
+// reviews are written in Hinglish. Leave out short or ambiguous words
+// ("MC" is also the municipal corporation).
+const PROFANITY = [
+  'asshole',
+  'bastard',
+  'bitch',
+  'bullshit',
+  'cunt',
+  'dick',
+  'fuck',
+  'fucker',
+  'fucking',
+  'motherfucker',
+  'shit',
+  'slut',
+  'whore',
+  'bhenchod',
+  'behenchod',
+  'bhosdike',
+  'chutiya',
+  'chutiye',
+  'gaand',
+  'gandu',
+  'harami',
+  'kamina',
+  'madarchod',
+  'randi'
+];
+
+module.exports = PROFANITY;
@@ -0,0 +1,246 @@
+const User = require('../models/User');
+const AdminUser = require('../models/AdminUser');
+const Session = require('../models/Session');
+const { ROLE_PERMISSIONS, outranks } = require('../config/constants');
+
+// @desc    Get the current admin's role and permissions
+// @route   GET /api/admin/me
+// @access  Private/Admin
+exports.getMyPermissions = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      _id: req.user._id,
+      name: req.user.name,
+      email: req.user.email,
+      role: req.adminRole,
+      permissions: ROLE_PERMISSIONS[req.adminRole] || []
+    }
+  });
+};
+
+// @desc    List admin portal staff
+// @route   GET /api/admin/staff
+// @access  Private/Admin (staff:manage)
+exports.getStaff = async (req, res) => {
+  try {
+    const staff = await AdminUser.find({})
+      .populate('user', 'name email status lastLogin')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: staff.length,
+      data: staff
+    });
+
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Grant a portal role to an existing user
+// @route   POST /api/admin/staff
+// @access  Private/Admin (staff:manage)
+exports.addStaff = async (req, res) => {
+  try {
+    const { userId, role = 'moderator', username } = req.body;
+
+    if (!ROLE_PERMISSIONS[role]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const existing = await AdminUser.findOne({ user: user._id });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a staff member'
+      });
+    }
+
+    const staff = await AdminUser.create({
+      user: user._id,
+      username: username || user.email.split('@')[0],
+      email: user.email,
+      name: user.name,
+      role
+    });
+
+    user.role = 'admin';
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff member added',
+      data: staff
+    });
+
+  } catch (error) {
+    console.error('Add staff error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or email already used by another staff member'
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a staff member's role or deactivate them
+// @route   PUT /api/admin/staff/:id
+// @access  Private/Admin (staff:manage)
+exports.updateStaff = async (req, res) => {
+  try {
+    const { role, isActive } = req.body;
+
+    if (role !== undefined && !ROLE_PERMISSIONS[role]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`
+      });
+    }
+
+    const staff = await AdminUser.findById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    // Nobody can lock themselves out of the portal
+    if (staff.user && staff.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own staff role'
+      });
+    }
+
+    if (role !== undefined) staff.role = role;
+    if (isActive !== undefined) staff.isActive = Boolean(isActive);
+    await staff.save();
+
+    res.json({
+      success: true,
+      message: 'Staff member updated',
+      data: staff
+    });
+
+  } catch (error) {
+    console.error('Update staff error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Activate, deactivate or suspend a user account
+// @route   PATCH /api/admin/users/:id/status
+// @access  Private/Admin (user:suspend)
+exports.updateUserStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const validStatuses = ['active', 'inactive', 'suspended'];
+
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own account status'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Staff accounts can only be blocked by someone senior to them
+    const targetRole = await AdminUser.staffRole(user);
+    if (targetRole && !outranks(req.adminRole, targetRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change the status of staff at or above your own role'
+      });
+    }
+
+    user.status = status;
+    await user.save();
+
+    // Blocked accounts are signed out of every device
+    if (status !== 'active') {
+      await Session.revokeAllForUser(user._id, 'admin');
+    }
+
+    res.json({
+      success: true,
+      message: `User ${status === 'active' ? 'activated' : status}`,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -1,12 +1,57 @@
 const User = require('../models/User');
-const { generateToken } = require('../utils/generateToken');
+const Session = require('../models/Session');
+const AdminUser = require('../models/AdminUser');
+const {
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenExpiry
+} = require('../utils/generateToken');
+const { sendMail } = require('../utils/mail');
+const mailTemplates = require('../utils/mail/templates');
+
+// Start a new session (one per device) and issue its token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || '',
+    deviceName: req.body.deviceName || '',
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return {
+    token: generateToken(user._id, user.role, session._id),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
+// Email a verification link to the user's pending (or current) address.
+// Mail failures are logged, not surfaced: the user can ask for a resend.
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  try {
+    await sendMail({
+      to: user.pendingEmail || user.email,
+      ...mailTemplates.verifyEmail(user, token)
+    });
+  } catch (error) {
+    console.error('Verification email error:', error.message);
+  }
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = async (req, res) => {
   try {
-    console.log('Register request received:', req.body);
+    console.log('Register request received:', req.body.email);
 
     const { name, email, password, role = 'user', phone } = req.body;
 
@@ -18,6 +63,14 @@ exports.register = async (req, res) => {
       });
     }
 
+    // Admin accounts cannot be self-registered
+    if (!['user', 'owner'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be either user or owner'
+      });
+    }
+
     // Check if user exists
     const userExists = await User.findOne({ email: email.toLowerCase() });
     if (userExists) {
@@ -36,8 +89,10 @@ exports.register = async (req, res) => {
       phone
     });
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    await sendVerificationEmail(user);
+
+    // Generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -48,12 +103,24 @@ exports.register = async (req, res) => {
         email: user.email,
         role: user.role,
         phone: user.phone,
-        token: token
+        emailVerified: user.emailVerified,
+        token: token,
+        refreshToken: refreshToken
       }
     });
 
   } catch (error) {
     console.error('Register error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error during registration',
@@ -67,7 +134,7 @@ exports.register = async (req, res) => {
 // @access  Public
 exports.login = async (req, res) => {
   try {
-    console.log('Login request received:', req.body);
+    console.log('Login request received:', req.body.email);
 
     const { email, password } = req.body;
 
@@ -98,7 +165,14 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Check if user is active
+    // Check account status
+    if (user.status === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is suspended. Please contact support.'
+      });
+    }
+
     if (!user.isActive) {
       return res.status(403).json({
         success: false,
@@ -106,8 +180,8 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -123,6 +197,7 @@ exports.login = async (req, res) => {
         role: user.role,
         phone: user.phone,
         token: token,
+        refreshToken: refreshToken,
         lastLogin: user.lastLogin
       }
     });
@@ -159,7 +234,10 @@ exports.getProfile = async (req, res) => {
         email: user.email,
         role: user.role,
         phone: user.phone,
+        status: user.status,
         isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       }
@@ -191,9 +269,23 @@ exports.updateProfile = async (req, res) => {
 
     // Update fields
     user.name = req.body.name || user.name;
-    user.email = req.body.email || user.email;
     user.phone = req.body.phone || user.phone;
 
+    // A new email only takes effect once it has been verified
+    const newEmail = req.body.email && req.body.email.toLowerCase().trim();
+    const emailChangeRequested = newEmail && newEmail !== user.email;
+
+    if (emailChangeRequested) {
+      const emailTaken = await User.findOne({ email: newEmail });
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+      user.pendingEmail = newEmail;
+    }
+
     // If password is provided, update it
     if (req.body.password) {
       user.password = req.body.password;
@@ -201,16 +293,28 @@ exports.updateProfile = async (req, res) => {
 
     const updatedUser = await user.save();
 
-    // Generate new token if email was changed
-    const token = generateToken(updatedUser._id, updatedUser.role);
+    if (emailChangeRequested) {
+      await sendVerificationEmail(updatedUser);
+    }
+
+    // A new password signs out every other device
+    if (req.body.password) {
+      await Session.revokeAllForUser(updatedUser._id, 'password-change', req.sessionId);
+    }
+
+    // Generate new token for the current session
+    const token = generateToken(updatedUser._id, updatedUser.role, req.sessionId);
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChangeRequested
+        ? 'Profile updated. Check your new email address to confirm the change.'
+        : 'Profile updated successfully',
       data: {
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
+        pendingEmail: updatedUser.pendingEmail,
         role: updatedUser.role,
         phone: updatedUser.phone,
         token: token
@@ -227,6 +331,200 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Confirm an email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findByValidToken('emailVerification', token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // Confirming a changed address swaps it in
+    if (user.pendingEmail) {
+      const emailTaken = await User.findOne({ email: user.pendingEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Same response whether or not the account exists
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...mailTemplates.passwordReset(user, token)
+        });
+      } catch (error) {
+        console.error('Password reset email error:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide token and new password'
+      });
+    }
+
+    const user = await User.findByValidToken('passwordReset', token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out everywhere; the user logs in again with the new password
+    await Session.revokeAllForUser(user._id, 'password-change');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in again.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Create default admin user
 // @route   POST /api/auth/init-admin
 // @access  Public (only for initial setup - disable in production)
@@ -256,8 +554,17 @@ exports.createDefaultAdmin = async (req, res) => {
       phone: '+919876543210'
     });
 
-    // Generate token
-    const token = generateToken(admin._id, admin.role);
+    // The first admin owns the portal
+    await AdminUser.create({
+      user: admin._id,
+      username: 'superadmin',
+      email: admin.email,
+      name: admin.name,
+      role: 'superadmin'
+    });
+
+    // Generate tokens
+    const { token, refreshToken } = await createSession(admin, req);
 
     console.log('✅ Default admin created:', admin.email);
 
@@ -269,7 +576,8 @@ exports.createDefaultAdmin = async (req, res) => {
         name: admin.name,
         email: admin.email,
         role: admin.role,
-        token: token
+        token: token,
+        refreshToken: refreshToken
       }
     });
 
@@ -283,6 +591,208 @@ exports.createDefaultAdmin = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const newRefreshToken = generateRefreshToken();
+
+    // Rotate atomically so the same token cannot be redeemed twice
+    const session = await Session.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      {
+        $set: {
+          tokenHash: hashToken(newRefreshToken),
+          lastUsedAt: new Date(),
+          expiresAt: refreshTokenExpiry()
+        },
+        $push: { previousTokenHashes: { $each: [tokenHash], $slice: -50 } }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A rotated token being replayed means it leaked: kill the session
+      const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+      if (reused && !reused.revokedAt) {
+        reused.revoke('reuse');
+        await reused.save();
+        console.warn(`⚠️ Refresh token reuse detected, session ${reused._id} revoked`);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      session.revoke('admin');
+      await session.save();
+
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: generateToken(user._id, user.role, session._id),
+        refreshToken: newRefreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    await Session.findByIdAndUpdate(req.sessionId, {
+      revokedAt: new Date(),
+      revokedReason: 'logout'
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List active sessions (devices) of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-tokenHash -previousTokenHashes')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        _id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId.toString()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke all sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'user', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked',
+      count: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    session.revoke('user');
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all users (admin only)
 // @route   GET /api/auth/users
 // @access  Private/Admin
@@ -0,0 +1,119 @@
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const PGListing = require('../models/PGListing');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { loadAdminRole } = require('../middleware/authMiddleware');
+const { PERMISSIONS, hasPermission } = require('../config/constants');
+
+// Load the booking if the caller is its tenant, the listing owner or staff.
+// Sends the error response and returns null otherwise.
+const loadBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    res.status(404).json({ success: false, message: 'Booking not found' });
+    return null;
+  }
+
+  const listing = await PGListing.findById(booking.pgListing).select('owner');
+  const isTenant = booking.user.toString() === req.user._id.toString();
+  const isOwner = Boolean(listing && listing.owner && listing.owner.toString() === req.user._id.toString());
+
+  if (!isTenant && !isOwner && !hasPermission(await loadAdminRole(req), PERMISSIONS.BOOKING_MANAGE)) {
+    res.status(403).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+
+  return booking;
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    List the invoices and receipts of a booking
+// @route   GET /api/bookings/:id/invoices
+// @access  Private (tenant, listing owner or staff)
+exports.getBookingInvoices = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    // Documents are issued when the payment is captured (see issueDocuments)
+    const filter = { booking: booking._id };
+    if (req.query.kind) filter.kind = String(req.query.kind);
+
+    const documents = await Invoice.find(filter).sort({ issueDate: 1, kind: 1 });
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+
+  } catch (error) {
+    console.error('Get booking invoices error:', error);
+    handleError(res, error, 'Failed to get invoices');
+  }
+};
+
+// Send one of the booking's documents as JSON or as a PDF download
+const sendInvoice = async (req, res, asPdf) => {
+  const booking = await loadBooking(req, res);
+  if (!booking) return;
+
+  const invoice = await Invoice.findOne({ _id: req.params.invoiceId, booking: booking._id });
+
+  if (!invoice) {
+    return res.status(404).json({ success: false, message: 'Invoice not found' });
+  }
+
+  if (!asPdf) {
+    return res.json({ success: true, data: invoice });
+  }
+
+  const pdf = await renderInvoicePdf(invoice);
+  const filename = `${invoice.number.replace(/[^A-Za-z0-9-]+/g, '_')}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// @desc    Get one invoice or receipt (JSON, or PDF with ?format=pdf)
+// @route   GET /api/bookings/:id/invoices/:invoiceId
+// @access  Private (tenant, listing owner or staff)
+exports.getBookingInvoice = async (req, res) => {
+  try {
+    await sendInvoice(req, res, req.query.format === 'pdf');
+  } catch (error) {
+    console.error('Get booking invoice error:', error);
+    handleError(res, error, 'Failed to get invoice');
+  }
+};
+
+// @desc    Download an invoice or receipt as PDF
+// @route   GET /api/bookings/:id/invoices/:invoiceId/pdf
+// @access  Private (tenant, listing owner or staff)
+exports.downloadInvoicePdf = async (req, res) => {
+  try {
+    await sendInvoice(req, res, true);
+  } catch (error) {
+    console.error('Download invoice PDF error:', error);
+    handleError(res, error, 'Failed to render invoice');
+  }
+};
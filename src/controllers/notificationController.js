@@ -0,0 +1,101 @@
+const Notification = require('../models/Notification');
+
+// @desc    Get the signed-in user's notifications
+// @route   GET /api/notifications?unread=true&limit=
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      query.readAt = null;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const [notifications, unread] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      unread,
+      data: notifications
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark one notification read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+exports.markRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark all notifications read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked read`
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications',
+      error: error.message
+    });
+  }
+};
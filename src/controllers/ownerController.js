@@ -0,0 +1,435 @@
+const PGListing = require('../models/PGListing');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const { hasValidCoordinates, isTrueFlag, isFalseFlag } = require('../utils/validators');
+const { alertSnapshot, sendListingAlerts } = require('../utils/listingAlerts');
+
+// Fields an owner may set on their own listings. Publishing, verification,
+// featuring, ratings and ownership stay with the admin portal; owners can
+// only take a listing offline (see updateMyListing).
+const OWNER_EDITABLE_FIELDS = [
+  'name', 'description', 'city', 'locality', 'address', 'price', 'type',
+  'images', 'gallery', 'googleMapLink', 'amenities', 'roomTypes',
+  'distance', 'availability', 'location', 'cancellationPolicy', 'reviewPolicy',
+  'ownerName', 'ownerPhone', 'contactEmail', 'contactPhone'
+];
+
+const pickOwnerFields = (body) => {
+  const data = {};
+  OWNER_EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Tax details printed on invoices; see the billing schema on User
+const BILLING_FIELDS = [
+  'legalName', 'pan', 'gstin', 'address', 'state', 'stateCode',
+  'gstRate', 'invoicePrefix', 'receiptPrefix'
+];
+
+const LOCATION_REQUIRED_MESSAGE = 'Set the listing location on the map before publishing';
+const PUBLISH_FORBIDDEN_MESSAGE = 'Listings are published by our team once reviewed';
+
+const ownListingIds = async (ownerId) => {
+  const listings = await PGListing.find({ owner: ownerId }).select('_id');
+  return listings.map(listing => listing._id);
+};
+
+// @desc    Owner dashboard summary
+// @route   GET /api/owner/dashboard
+// @access  Private/Owner
+exports.getDashboard = async (req, res) => {
+  try {
+    const listings = await PGListing.find({ owner: req.user._id })
+      .select('name published verified rating reviewCount availability');
+    const listingIds = listings.map(listing => listing._id);
+
+    const bookingStats = await Booking.aggregate([
+      { $match: { pgListing: { $in: listingIds } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const bookings = bookingStats.reduce((acc, stat) => {
+      acc[stat._id] = stat.count;
+      return acc;
+    }, {});
+
+    const totalReviews = listings.reduce((sum, listing) => sum + listing.reviewCount, 0);
+    const ratedListings = listings.filter(listing => listing.reviewCount > 0);
+    const averageRating = ratedListings.length > 0
+      ? parseFloat((ratedListings.reduce((sum, listing) => sum + listing.rating, 0) / ratedListings.length).toFixed(1))
+      : 0;
+
+    res.json({
+      success: true,
+      data: {
+        listings: {
+          total: listings.length,
+          published: listings.filter(listing => listing.published).length,
+          verified: listings.filter(listing => listing.verified).length
+        },
+        bookings,
+        reviews: {
+          total: totalReviews,
+          averageRating
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Owner dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the owner's listings
+// @route   GET /api/owner/listings
+// @access  Private/Owner
+exports.getMyListings = async (req, res) => {
+  try {
+    const listings = await PGListing.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: listings.length,
+      data: listings
+    });
+
+  } catch (error) {
+    console.error('Get owner listings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one of the owner's listings
+// @route   GET /api/owner/listings/:id
+// @access  Private/Owner
+exports.getMyListing = async (req, res) => {
+  try {
+    const listing = await PGListing.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'PG listing not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: listing
+    });
+
+  } catch (error) {
+    console.error('Get owner listing error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid listing ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a listing owned by the current owner
+// @route   POST /api/owner/listings
+// @access  Private/Owner
+exports.createMyListing = async (req, res) => {
+  try {
+    // New listings start as drafts; staff with listing:publish put them live
+    if (isTrueFlag(req.body.published)) {
+      return res.status(403).json({
+        success: false,
+        message: PUBLISH_FORBIDDEN_MESSAGE
+      });
+    }
+
+    const listing = await PGListing.create({
+      ...pickOwnerFields(req.body),
+      published: false,
+      owner: req.user._id,
+      ownerName: req.body.ownerName || req.user.name,
+      ownerEmail: req.user.email,
+      ownerPhone: req.body.ownerPhone || req.user.phone,
+      verified: false,
+      featured: false
+    });
+
+    console.log('✅ Owner listing created:', listing.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'PG listing created successfully',
+      data: listing
+    });
+
+  } catch (error) {
+    console.error('Create owner listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Listing with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create listing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update one of the owner's listings
+// @route   PUT /api/owner/listings/:id
+// @access  Private/Owner
+exports.updateMyListing = async (req, res) => {
+  try {
+    const existing = await PGListing.findOne({ _id: req.params.id, owner: req.user._id })
+      .select('published location price availability roomTypes rooms._id');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'PG listing not found'
+      });
+    }
+
+    // Owners may take a listing offline, but only staff put one live; that
+    // also keeps listings held after user reports offline until reviewed
+    if (isTrueFlag(req.body.published) && !existing.published) {
+      return res.status(403).json({
+        success: false,
+        message: PUBLISH_FORBIDDEN_MESSAGE
+      });
+    }
+
+    const unpublishing = isFalseFlag(req.body.published);
+
+    // A live listing cannot lose its map location
+    if (existing.published && !unpublishing && req.body.location !== undefined && !hasValidCoordinates(req.body.location)) {
+      return res.status(400).json({
+        success: false,
+        message: LOCATION_REQUIRED_MESSAGE
+      });
+    }
+
+    // Price, availability and room types follow the rooms once there are any
+    const update = { ...existing.withoutDerivedFields(pickOwnerFields(req.body)), updatedAt: Date.now() };
+    if (unpublishing) update.published = false;
+
+    const listing = await PGListing.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'PG listing not found'
+      });
+    }
+
+    await sendListingAlerts(alertSnapshot(existing), listing);
+
+    res.json({
+      success: true,
+      message: 'PG listing updated successfully',
+      data: listing
+    });
+
+  } catch (error) {
+    console.error('Update owner listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid listing ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update listing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get bookings for the owner's listings
+// @route   GET /api/owner/bookings
+// @access  Private/Owner
+exports.getMyBookings = async (req, res) => {
+  try {
+    let listingIds = await ownListingIds(req.user._id);
+
+    // Optionally narrow down to one of the owner's listings
+    if (req.query.pgId) {
+      listingIds = listingIds.filter(id => id.toString() === req.query.pgId);
+    }
+
+    const query = { pgListing: { $in: listingIds } };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const bookings = await Booking.find(query)
+      .populate('pgListing', 'name address images price type')
+      .populate('user', 'name email phone')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: bookings.length,
+      data: bookings
+    });
+
+  } catch (error) {
+    console.error('Get owner bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get reviews for the owner's listings
+// @route   GET /api/owner/reviews
+// @access  Private/Owner
+exports.getMyReviews = async (req, res) => {
+  try {
+    const reviews = await Review.find({ pgListing: { $in: await ownListingIds(req.user._id) }, ...Review.visibleQuery() })
+      .populate('pgListing', 'name')
+      .populate('user', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: reviews
+    });
+
+  } catch (error) {
+    console.error('Get owner reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the owner's billing (tax) details
+// @route   GET /api/owner/billing
+// @access  Private/Owner
+exports.getBilling = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('name billing');
+
+    res.json({
+      success: true,
+      data: user.billing || {}
+    });
+
+  } catch (error) {
+    console.error('Get owner billing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update the owner's billing (tax) details. Only new invoices
+//          pick up the change; issued ones keep their snapshot.
+// @route   PUT /api/owner/billing
+// @access  Private/Owner
+exports.updateBilling = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const billing = user.billing ? user.billing.toObject() : {};
+
+    BILLING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        // Empty strings clear optional identifiers such as the GSTIN
+        billing[field] = req.body[field] === '' ? undefined : req.body[field];
+      }
+    });
+
+    if (billing.gstRate > 0 && !billing.gstin) {
+      return res.status(400).json({
+        success: false,
+        message: 'A GSTIN is required to charge GST'
+      });
+    }
+
+    user.billing = billing;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Billing details updated successfully',
+      data: user.billing
+    });
+
+  } catch (error) {
+    console.error('Update owner billing error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update billing details',
+      error: error.message
+    });
+  }
+};
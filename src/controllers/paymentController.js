@@ -0,0 +1,491 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const PGListing = require('../models/PGListing');
+const RentInstallment = require('../models/RentInstallment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getGateway } = require('../utils/payments');
+const { refundableAmount, issueRefund } = require('../utils/payments/refunds');
+const { issueDocuments } = require('../utils/invoices');
+const { closeUnstartedBooking, refundLateCapture } = require('../utils/cancellation');
+const { loadAdminRole } = require('../middleware/authMiddleware');
+const { PERMISSIONS, hasPermission } = require('../config/constants');
+
+// Who is asking about this booking
+const bookingAccess = async (req, booking) => {
+  const listing = await PGListing.findById(booking.pgListing).select('owner');
+
+  return {
+    isTenant: booking.user.toString() === req.user._id.toString(),
+    isOwner: Boolean(listing && listing.owner && listing.owner.toString() === req.user._id.toString()),
+    isStaff: hasPermission(await loadAdminRole(req), PERMISSIONS.BOOKING_MANAGE)
+  };
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// What a captured deposit or rent payment means for its booking. A deposit
+// secures the bed: the hold stops expiring and the booking waits for the
+// owner. Money arriving after the hold ran out, or after the booking closed,
+// goes back. Safe to repeat: refunds never exceed what is refundable.
+const settleBookingPayment = async (payment, now = new Date()) => {
+  if (payment.kind !== 'deposit' && payment.kind !== 'rent') return;
+
+  const booking = await Booking.findById(payment.booking);
+  if (!booking) return;
+
+  if (Booking.CLOSED_STATUSES.includes(booking.status)) {
+    await refundLateCapture(payment, booking);
+    return;
+  }
+
+  if (booking.status !== 'pending' || !booking.holdExpiresAt) return;
+
+  if (booking.holdExpiresAt <= now) {
+    await closeUnstartedBooking(booking, 'expired', null, 'Hold expired before the payment arrived');
+  } else if (payment.kind === 'deposit') {
+    booking.holdExpiresAt = null;
+    await booking.save();
+  }
+};
+
+// Apply one parsed gateway event to the ledger. Each event id is recorded
+// once, so redeliveries are acknowledged without touching the ledger again.
+const processWebhookEvent = async (gateway, event) => {
+  if (!event.eventId) {
+    return { status: 400, message: 'Missing event id' };
+  }
+
+  let record;
+  try {
+    record = await WebhookEvent.create({
+      gateway: gateway.name,
+      eventId: event.eventId,
+      type: event.type || ''
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 200, message: 'Duplicate event ignored' };
+    }
+    throw error;
+  }
+
+  try {
+    if (!event.type) {
+      return { status: 200, message: 'Event ignored' };
+    }
+
+    const isRefund = event.type.startsWith('refund.');
+    const payment = await Payment.findOne(isRefund
+      ? { gateway: gateway.name, kind: 'refund', gatewayRefundId: event.refundId }
+      : { gateway: gateway.name, gatewayOrderId: event.orderId, kind: { $ne: 'refund' } });
+
+    if (!payment) {
+      return { status: 200, message: 'No matching payment' };
+    }
+
+    const succeeded = event.type === 'payment.captured' || event.type === 'refund.processed';
+    const changed = succeeded
+      ? payment.markCaptured({ gatewayPaymentId: isRefund ? null : event.paymentId })
+      : payment.markFailed({ gatewayPaymentId: isRefund ? null : event.paymentId, reason: event.reason });
+
+    if (changed) {
+      await payment.save();
+      console.log(`💳 Payment ${payment._id} ${payment.status} (${event.type})`);
+
+      // Rent paid (or refunded) moves the booking's dues
+      if (payment.status === 'captured' && payment.kind !== 'deposit') {
+        await RentInstallment.syncBooking(payment.booking);
+      }
+
+      // The issue-invoices job retries anything that fails here
+      if (payment.status === 'captured') {
+        try {
+          await issueDocuments(payment);
+        } catch (error) {
+          console.error(`❌ Issuing documents for payment ${payment._id} failed:`, error.message);
+        }
+      }
+    }
+
+    // Also on repeats: an earlier delivery may have failed at this step
+    if (!isRefund && payment.status === 'captured') {
+      await settleBookingPayment(payment);
+    }
+
+    record.payment = payment._id;
+    await record.save();
+
+    return { status: 200, message: changed ? `Payment ${payment.status}` : 'Payment already settled', payment };
+
+  } catch (error) {
+    // Let the gateway redeliver an event we failed to apply
+    await WebhookEvent.deleteOne({ _id: record._id });
+    throw error;
+  }
+};
+
+// @desc    Get the payment ledger of a booking
+// @route   GET /api/bookings/:id/payments
+// @access  Private (tenant, listing owner or staff)
+exports.getBookingPayments = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const { isTenant, isOwner, isStaff } = await bookingAccess(req, booking);
+    if (!isTenant && !isOwner && !isStaff) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const ledger = await Payment.ledgerFor(booking);
+
+    res.json({
+      success: true,
+      data: {
+        booking: {
+          _id: booking._id,
+          status: booking.status,
+          monthlyRent: booking.monthlyRent,
+          totalAmount: booking.totalAmount,
+          deposit: booking.deposit
+        },
+        summary: ledger.summary,
+        entries: ledger.entries
+      }
+    });
+
+  } catch (error) {
+    console.error('Get booking payments error:', error);
+    handleError(res, error, 'Failed to get payments');
+  }
+};
+
+// @desc    Start a deposit or rent payment through the gateway
+// @route   POST /api/bookings/:id/payments
+// @access  Private (tenant)
+exports.createPaymentOrder = async (req, res) => {
+  try {
+    const { kind, period } = req.body;
+
+    if (!['deposit', 'rent'].includes(kind)) {
+      return res.status(400).json({ success: false, message: "kind must be 'deposit' or 'rent'" });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    if (booking.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const holdExpired = booking.status === 'pending' && booking.holdExpiresAt && booking.holdExpiresAt <= new Date();
+    if (Booking.CLOSED_STATUSES.includes(booking.status) || holdExpired) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pay for a ${holdExpired ? 'expired' : booking.status} booking`
+      });
+    }
+
+    const { summary } = await Payment.ledgerFor(booking);
+    const due = kind === 'deposit' ? summary.depositDue : summary.rentDue;
+
+    if (due <= 0) {
+      return res.status(400).json({ success: false, message: `Nothing left to pay for ${kind}` });
+    }
+
+    // Rent defaults to one month; never more than what is still due
+    const requested = req.body.amount !== undefined ? Number(req.body.amount) : (kind === 'rent' ? booking.monthlyRent : due);
+    if (!requested || requested <= 0) {
+      return res.status(400).json({ success: false, message: 'Amount must be a positive number' });
+    }
+    const amount = Math.min(requested, due);
+
+    const gateway = getGateway();
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: booking.user,
+      pgListing: booking.pgListing,
+      kind,
+      amount,
+      period: kind === 'rent' ? period || null : null,
+      gateway: gateway.name,
+      createdBy: req.user._id
+    });
+
+    try {
+      const order = await gateway.createOrder({
+        amount,
+        currency: payment.currency,
+        receipt: payment._id.toString(),
+        notes: { booking: booking._id.toString(), kind }
+      });
+
+      payment.gatewayOrderId = order.orderId;
+      await payment.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment order created',
+        data: {
+          payment,
+          checkout: order.checkout
+        }
+      });
+    } catch (error) {
+      payment.markFailed({ reason: error.message });
+      await payment.save();
+      throw error;
+    }
+
+  } catch (error) {
+    console.error('Create payment order error:', error);
+    handleError(res, error, 'Failed to create payment order');
+  }
+};
+
+// @desc    Record a manual ledger adjustment (cash received, waiver, damages)
+// @route   POST /api/bookings/:id/payments/adjustments
+// @access  Private (listing owner or staff)
+exports.recordAdjustment = async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const note = (req.body.note || '').trim();
+
+    if (!amount) {
+      return res.status(400).json({ success: false, message: 'A non-zero amount is required' });
+    }
+
+    if (!note) {
+      return res.status(400).json({ success: false, message: 'A note explaining the adjustment is required' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const { isOwner, isStaff } = await bookingAccess(req, booking);
+    if (!isOwner && !isStaff) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: booking.user,
+      pgListing: booking.pgListing,
+      kind: 'adjustment',
+      amount,
+      period: req.body.period || null,
+      status: 'captured',
+      capturedAt: new Date(),
+      note,
+      createdBy: req.user._id
+    });
+
+    await RentInstallment.syncBooking(booking._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Adjustment recorded',
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Record adjustment error:', error);
+    handleError(res, error, 'Failed to record adjustment');
+  }
+};
+
+// @desc    Refund (part of) a captured deposit or rent payment
+// @route   POST /api/payments/:id/refund
+// @access  Private/Admin (payment:refund)
+exports.refundPayment = async (req, res) => {
+  try {
+    const original = await Payment.findById(req.params.id);
+
+    if (!original) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    if (!['deposit', 'rent'].includes(original.kind) || original.status !== 'captured' || !original.gatewayPaymentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only captured gateway payments can be refunded'
+      });
+    }
+
+    const refundable = await refundableAmount(original);
+
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : refundable;
+    if (!amount || amount <= 0 || amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 1 and ${refundable}`
+      });
+    }
+
+    const refund = await issueRefund(original, amount, { reason: req.body.reason || '', actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === 'captured' ? 'Refund processed' : 'Refund initiated',
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    handleError(res, error, 'Failed to refund payment');
+  }
+};
+
+// @desc    Settle a manual (non-gateway) refund once paid out or abandoned
+// @route   PATCH /api/payments/:id/settle
+// @access  Private/Admin (payment:refund)
+exports.settleManualRefund = async (req, res) => {
+  try {
+    const { outcome = 'paid', note } = req.body;
+
+    if (!['paid', 'failed'].includes(outcome)) {
+      return res.status(400).json({ success: false, message: "outcome must be 'paid' or 'failed'" });
+    }
+
+    const refund = await Payment.findById(req.params.id);
+
+    if (!refund || refund.kind !== 'refund' || refund.gateway) {
+      return res.status(404).json({ success: false, message: 'Manual refund not found' });
+    }
+
+    const changed = outcome === 'paid'
+      ? refund.markCaptured()
+      : refund.markFailed({ reason: note || 'Manual payout abandoned' });
+
+    if (!changed) {
+      return res.status(400).json({ success: false, message: `Refund is already ${refund.status}` });
+    }
+
+    if (note) {
+      refund.note = `${refund.note} | ${note}`.slice(0, 500);
+    }
+    await refund.save();
+
+    res.json({
+      success: true,
+      message: `Refund marked ${refund.status}`,
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Settle manual refund error:', error);
+    handleError(res, error, 'Failed to settle refund');
+  }
+};
+
+// @desc    Gateway webhook (signed)
+// @route   POST /api/payments/webhook/:gateway
+// @access  Public (signature checked)
+exports.handleWebhook = async (req, res) => {
+  try {
+    const gateway = getGateway();
+
+    if (req.params.gateway !== gateway.name) {
+      return res.status(404).json({ success: false, message: 'Unknown payment gateway' });
+    }
+
+    if (!gateway.verifyWebhook(req.rawBody, req.headers)) {
+      console.log(`⚠️ Rejected ${gateway.name} webhook with a bad signature`);
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+
+    const result = await processWebhookEvent(gateway, gateway.parseWebhook(req.body, req.headers));
+
+    res.status(result.status).json({
+      success: result.status === 200,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    handleError(res, error, 'Failed to process webhook');
+  }
+};
+
+// @desc    Complete a fake-gateway checkout or refund (development only)
+// @route   POST /api/payments/fake/simulate
+// @access  Private (tenant of the payment's booking)
+exports.simulateFakeWebhook = async (req, res) => {
+  try {
+    const gateway = getGateway();
+
+    if (gateway.name !== 'fake') {
+      return res.status(400).json({ success: false, message: 'The fake gateway is not active' });
+    }
+
+    const { orderId, refundId, outcome, reason } = req.body;
+    if (!orderId && !refundId) {
+      return res.status(400).json({ success: false, message: 'orderId or refundId is required' });
+    }
+
+    const payment = await Payment.findOne(orderId
+      ? { gateway: gateway.name, gatewayOrderId: orderId, kind: { $ne: 'refund' } }
+      : { gateway: gateway.name, kind: 'refund', gatewayRefundId: refundId });
+
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const booking = await Booking.findById(payment.booking).select('user');
+    if (!booking || booking.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    // Goes through signature verification exactly like a real delivery
+    const delivery = orderId
+      ? gateway.simulate(orderId, outcome || 'captured', reason)
+      : gateway.simulateRefund(refundId, outcome || 'processed', reason);
+
+    if (!gateway.verifyWebhook(delivery.rawBody, delivery.headers)) {
+      return res.status(500).json({ success: false, message: 'Fake delivery failed verification' });
+    }
+
+    const result = await processWebhookEvent(gateway, gateway.parseWebhook(delivery.body, delivery.headers));
+
+    res.status(result.status).json({
+      success: result.status === 200,
+      message: result.message,
+      data: result.payment || null
+    });
+
+  } catch (error) {
+    console.error('Simulate webhook error:', error);
+    handleError(res, error, 'Failed to simulate webhook');
+  }
+};
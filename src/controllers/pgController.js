@@ -1,102 +1,218 @@
+const mongoose = require('mongoose');
 const PGListing = require('../models/PGListing');
+const { loadAdminRole } = require('../middleware/authMiddleware');
+const { PERMISSIONS, hasPermission } = require('../config/constants');
+const { getLandmarks, findLandmark } = require('../config/landmarks');
+const { hasValidCoordinates, parseLatLng, isTrueFlag } = require('../utils/validators');
+const { alertSnapshot, sendListingAlerts } = require('../utils/listingAlerts');
+const {
+  buildRatingFilter,
+  buildListingFilter,
+  parsePagination,
+  parseSort,
+  searchListings
+} = require('../utils/listingSearch');
 
-// @desc    Get all PG listings
-// @route   GET /api/pg
-// @access  Public
+const DEFAULT_NEARBY_RADIUS_KM = 5;
+const MAX_NEARBY_RADIUS_KM = 50;
+
+const LOCATION_REQUIRED_MESSAGE = 'Set the listing location on the map before publishing';
+
+// Fields staff may set when creating or updating a listing
+const EDITABLE_FIELDS = [
+  'name', 'description', 'city', 'locality', 'address', 'price', 'type',
+  'images', 'gallery', 'googleMapLink', 'amenities', 'roomTypes',
+  'distance', 'availability', 'location', 'published', 'verified',
+  'featured', 'rating', 'reviewCount', 'ownerName', 'ownerPhone',
+  'ownerEmail', 'ownerId', 'owner', 'contactEmail', 'contactPhone',
+  'cancellationPolicy', 'reviewPolicy'
+];
+const NUMBER_FIELDS = ['price', 'rating', 'reviewCount'];
+
+// Status flags need the same permission as their dedicated endpoints
+const FLAG_PERMISSIONS = {
+  published: PERMISSIONS.LISTING_PUBLISH,
+  featured: PERMISSIONS.LISTING_FEATURE,
+  verified: PERMISSIONS.LISTING_VERIFY
+};
+
+const pickListingFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+
+    if (NUMBER_FIELDS.includes(field)) {
+      data[field] = Number(body[field]);
+    } else if (FLAG_PERMISSIONS[field]) {
+      data[field] = isTrueFlag(body[field]);
+    } else {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Flags in the body the caller's portal role may not change
+const forbiddenFlags = (req) => {
+  return Object.keys(FLAG_PERMISSIONS).filter(flag =>
+    req.body[flag] !== undefined && !hasPermission(req.adminRole, FLAG_PERMISSIONS[flag])
+  );
+};
+
+// Staff who can edit listings also see drafts on the public endpoints
+const canSeeDrafts = async (req) => {
+  return Boolean(req.user) && hasPermission(await loadAdminRole(req), PERMISSIONS.LISTING_UPDATE);
+};
+
+const isListingOwner = (req, listing) => {
+  return Boolean(req.user && listing.owner && listing.owner.toString() === req.user._id.toString());
+};
+
+// searchMode says how the search text matched: 'text' (text index) or
+// 'fuzzy' (partial words and spelling variants)
+const sendPage = (res, { listings, total, pageNum, limitNum, mode = null }) => {
+  res.header('X-Total-Count', String(total));
+  res.header('Access-Control-Expose-Headers', 'X-Total-Count, Content-Type');
+
+  res.json({
+    success: true,
+    count: listings.length,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    ...(mode ? { searchMode: mode } : {}),
+    data: listings
+  });
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid listing ID'
+    });
+  }
+
+  // Duplicate slug
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Listing with this name already exists'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    Get PG listings (paginated and filtered)
+// @route   GET /api/pg?type=&city=&locality=&search=&minPrice=&maxPrice=&amenities=&availability=&minRating=&minFood=&sort=&page=&limit=
+// @access  Public (drafts for staff only)
 exports.getPGListings = async (req, res) => {
   try {
-    console.log('Get PG listings request:', req.query);
+    console.log('📋 Get PG listings request:', req.query);
 
-    const { 
-      type, 
-      published, 
-      featured, 
-      verified, 
+    const {
+      type,
+      published,
+      featured,
+      verified,
       search,
       minPrice,
       maxPrice,
       city,
+      locality,
+      amenities,
       availability,
-      sort = '-createdAt',
-      page = 1,
-      limit = 20
+      admin,
+      sort
     } = req.query;
-    
-    let query = {};
-    
+
+    const query = {};
+
     // Build query
     if (type && type !== 'all') query.type = type;
-    if (published === 'true') query.published = true;
-    if (published === 'false') query.published = false;
     if (featured === 'true') query.featured = true;
     if (verified === 'true') query.verified = true;
-    if (city) query.city = new RegExp(city, 'i');
+    if (city && city !== 'all') query.city = { $regex: city, $options: 'i' };
+    if (locality) query.locality = { $regex: locality, $options: 'i' };
     if (availability) query.availability = availability;
-    
+    if (amenities) query.amenities = { $all: amenities.split(',') };
+
     // Price range filter
     if (minPrice || maxPrice) {
       query.price = {};
       if (minPrice) query.price.$gte = Number(minPrice);
       if (maxPrice) query.price.$lte = Number(maxPrice);
     }
-    
-    // Search filter
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { address: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { city: { $regex: search, $options: 'i' } }
-      ];
-    }
 
-    // Calculate pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+    Object.assign(query, buildRatingFilter(req.query));
 
-    // Execute query
-    const listings = await PGListing.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(limitNum);
+    // Everyone else only sees published listings. Staff may filter on
+    // published, or pass admin=true (admin panel) to include drafts.
+    if (!await canSeeDrafts(req)) {
+      query.published = true;
+    } else if (published === 'true' || published === 'false') {
+      query.published = published === 'true';
+    } else if (admin !== 'true') {
+      query.published = true;
+    }
 
-    // Get total count for pagination
-    const total = await PGListing.countDocuments(query);
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
 
-    res.json({
-      success: true,
-      count: listings.length,
-      total: total,
-      page: pageNum,
-      pages: Math.ceil(total / limitNum),
-      data: listings
+    // With search text, results are ranked by relevance unless sort is given
+    const { listings, total, mode } = await searchListings(query, {
+      term: search,
+      sort: parseSort(sort, null),
+      skip,
+      limit: limitNum
     });
 
+    console.log(`✅ Found ${listings.length} of ${total} listings`);
+
+    sendPage(res, { listings, total, pageNum, limitNum, mode });
+
   } catch (error) {
     console.error('Get listings error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
+    handleError(res, error, 'Server error while fetching listings');
   }
 };
 
-// @desc    Get single PG listing
+// @desc    Get single PG listing by ID or slug
 // @route   GET /api/pg/:id
-// @access  Public
+// @access  Public (drafts for their owner and staff only)
 exports.getPGListing = async (req, res) => {
   try {
-    const listing = await PGListing.findById(req.params.id);
-    
+    const listingId = req.params.id;
+    let listing = null;
+
+    if (mongoose.Types.ObjectId.isValid(listingId)) {
+      listing = await PGListing.findById(listingId);
+    }
+
     if (!listing) {
+      listing = await PGListing.findOne({ slug: listingId });
+    }
+
+    if (!listing || (!listing.published && !isListingOwner(req, listing) && !await canSeeDrafts(req))) {
       return res.status(404).json({
         success: false,
         message: 'PG listing not found'
       });
     }
-    
+
     res.json({
       success: true,
       data: listing
@@ -104,111 +220,132 @@ exports.getPGListing = async (req, res) => {
 
   } catch (error) {
     console.error('Get listing error:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid listing ID'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
+    handleError(res, error, 'Server error');
   }
 };
 
 // @desc    Create PG listing
 // @route   POST /api/pg
-// @access  Private/Admin
+// @access  Private/Admin (listing:create)
 exports.createPGListing = async (req, res) => {
   try {
-    console.log('Create listing request from user:', req.user.email);
-    console.log('Listing data:', req.body);
-
-    // Add default values if not provided
-    const listingData = {
-      ...req.body,
-      published: req.body.published || false,
-      verified: req.body.verified || false,
-      featured: req.body.featured || false,
-      ownerName: req.body.ownerName || req.user.name,
-      ownerEmail: req.body.ownerEmail || req.user.email
-    };
+    console.log('➕ Create listing request from user:', req.user.email);
 
-    const listing = await PGListing.create(listingData);
-    
-    console.log('✅ Listing created:', listing.name);
-
-    res.status(201).json({
-      success: true,
-      message: 'PG listing created successfully',
-      data: listing
-    });
+    if (!req.body.name || !String(req.body.name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'PG name is required'
+      });
+    }
 
-  } catch (error) {
-    console.error('Create listing error:', error);
-    
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(val => val.message);
+    if (!req.body.price || isNaN(req.body.price)) {
       return res.status(400).json({
         success: false,
-        message: 'Validation error',
-        errors: messages
+        message: 'Valid price is required'
       });
     }
-    
-    // Handle duplicate slug error
-    if (error.code === 11000) {
+
+    const notAllowed = forbiddenFlags(req);
+    if (notAllowed.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Not allowed to change: ${notAllowed.join(', ')}`
+      });
+    }
+
+    // Publishing needs a real map location; without one, default to draft
+    const locationSet = hasValidCoordinates(req.body.location);
+    if (isTrueFlag(req.body.published) && !locationSet) {
       return res.status(400).json({
         success: false,
-        message: 'Listing with this name already exists'
+        message: LOCATION_REQUIRED_MESSAGE
       });
     }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create listing',
-      error: error.message
+
+    const listing = await PGListing.create({
+      city: 'Chandigarh',
+      roomTypes: ['Single', 'Double'],
+      published: locationSet,
+      ...pickListingFields(req.body),
+      name: String(req.body.name).trim()
+    });
+
+    console.log(`✅ PG created: ${listing.name} (₹${listing.price})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'PG listing created successfully',
+      data: listing
     });
+
+  } catch (error) {
+    console.error('Create listing error:', error);
+    handleError(res, error, 'Failed to create PG listing');
   }
 };
 
 // @desc    Update PG listing
 // @route   PUT /api/pg/:id
-// @access  Private/Admin
+// @access  Private/Admin (listing:update)
 exports.updatePGListing = async (req, res) => {
   try {
-    console.log('Update listing request:', req.params.id);
-    console.log('Update data:', req.body);
+    console.log(`✏️ Update listing request: ${req.params.id}`);
 
-    let listing = await PGListing.findById(req.params.id);
-    
-    if (!listing) {
+    const existingListing = await PGListing.findById(req.params.id);
+
+    if (!existingListing) {
       return res.status(404).json({
         success: false,
         message: 'PG listing not found'
       });
     }
-    
-    // Update listing
-    listing = await PGListing.findByIdAndUpdate(
-      req.params.id,
-      { 
-        ...req.body,
+
+    const notAllowed = forbiddenFlags(req);
+    if (notAllowed.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Not allowed to change: ${notAllowed.join(', ')}`
+      });
+    }
+
+    // Publishing needs a real map location
+    const willBePublished = req.body.published !== undefined ? isTrueFlag(req.body.published) : existingListing.published;
+    const resultingLocation = req.body.location !== undefined ? req.body.location : existingListing.location;
+    const publishingChanged = req.body.published !== undefined || req.body.location !== undefined;
+
+    if (willBePublished && publishingChanged && !hasValidCoordinates(resultingLocation)) {
+      return res.status(400).json({
+        success: false,
+        message: LOCATION_REQUIRED_MESSAGE
+      });
+    }
+
+    // Price, availability and room types follow the rooms once there are any
+    const update = {
+      $set: {
+        ...existingListing.withoutDerivedFields(pickListingFields(req.body)),
         updatedAt: Date.now()
-      },
-      { 
-        new: true, 
-        runValidators: true 
+      }
+    };
+
+    // Staff publishing overrides a hold placed by user reports
+    if (isTrueFlag(req.body.published) && !existingListing.published) {
+      update.$unset = { reportHold: 1 };
+    }
+
+    const listing = await PGListing.findByIdAndUpdate(
+      req.params.id,
+      update,
+      {
+        new: true,
+        runValidators: true
       }
     );
-    
+
     console.log('✅ Listing updated:', listing.name);
 
+    await sendListingAlerts(alertSnapshot(existingListing), listing);
+
     res.json({
       success: true,
       message: 'PG listing updated successfully',
@@ -217,103 +354,138 @@ exports.updatePGListing = async (req, res) => {
 
   } catch (error) {
     console.error('Update listing error:', error);
-    
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(val => val.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: messages
-      });
-    }
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid listing ID'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update listing',
-      error: error.message
-    });
+    handleError(res, error, 'Failed to update listing');
   }
 };
 
 // @desc    Delete PG listing
 // @route   DELETE /api/pg/:id
-// @access  Private/Admin
+// @access  Private/Admin (listing:delete)
 exports.deletePGListing = async (req, res) => {
   try {
     const listing = await PGListing.findById(req.params.id);
-    
+
     if (!listing) {
       return res.status(404).json({
         success: false,
         message: 'PG listing not found'
       });
     }
-    
+
     await listing.deleteOne();
-    
+
     console.log('✅ Listing deleted:', listing.name);
 
     res.json({
       success: true,
       message: 'PG listing deleted successfully',
-      data: {}
+      data: { id: req.params.id }
     });
 
   } catch (error) {
     console.error('Delete listing error:', error);
-    
-    if (error.name === 'CastError') {
+    handleError(res, error, 'Failed to delete listing');
+  }
+};
+
+// Set one status flag from req.body[field]
+const setFlag = (field, onLabel, offLabel) => async (req, res) => {
+  try {
+    const value = isTrueFlag(req.body[field]);
+    const listing = await PGListing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'PG listing not found'
+      });
+    }
+
+    // A listing cannot go live without a real map location
+    if (field === 'published' && value && !hasValidCoordinates(listing.location)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid listing ID'
+        message: LOCATION_REQUIRED_MESSAGE
       });
     }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete listing',
-      error: error.message
+
+    listing[field] = value;
+    listing.updatedAt = Date.now();
+    await listing.save({ validateModifiedOnly: true });
+
+    res.json({
+      success: true,
+      message: `Listing ${value ? onLabel : offLabel} successfully`,
+      data: listing
     });
+
+  } catch (error) {
+    console.error(`Set ${field} error:`, error);
+    handleError(res, error, 'Failed to update listing');
   }
 };
 
+// @desc    Publish or unpublish a listing
+// @route   PATCH /api/pg/:id/publish
+// @access  Private/Admin (listing:publish)
+exports.setPublished = setFlag('published', 'published', 'unpublished');
+
+// @desc    Feature or unfeature a listing
+// @route   PATCH /api/pg/:id/feature
+// @access  Private/Admin (listing:feature)
+exports.setFeatured = setFlag('featured', 'featured', 'unfeatured');
+
+// @desc    Verify or unverify a listing
+// @route   PATCH /api/pg/:id/verify
+// @access  Private/Admin (listing:verify)
+exports.setVerified = setFlag('verified', 'verified', 'unverified');
+
 // @desc    Toggle listing status
 // @route   PATCH /api/pg/:id/toggle-status
-// @access  Private/Admin
+// @access  Private/Admin (permission of the toggled flag)
 exports.toggleStatus = async (req, res) => {
   try {
     const { field } = req.body;
-    const validFields = ['published', 'featured', 'verified'];
-    
+    const validFields = Object.keys(FLAG_PERMISSIONS);
+
     if (!field || !validFields.includes(field)) {
       return res.status(400).json({
         success: false,
         message: `Invalid field. Must be one of: ${validFields.join(', ')}`
       });
     }
-    
+
+    const role = await loadAdminRole(req);
+    if (!hasPermission(role, FLAG_PERMISSIONS[field])) {
+      return res.status(403).json({
+        error: `Missing permission: ${FLAG_PERMISSIONS[field]}`,
+        role
+      });
+    }
+
     const listing = await PGListing.findById(req.params.id);
-    
+
     if (!listing) {
       return res.status(404).json({
         success: false,
         message: 'PG listing not found'
       });
     }
-    
+
+    // A listing cannot go live without a real map location
+    if (field === 'published' && !listing.published && !hasValidCoordinates(listing.location)) {
+      return res.status(400).json({
+        success: false,
+        message: LOCATION_REQUIRED_MESSAGE
+      });
+    }
+
     // Toggle the field
     listing[field] = !listing[field];
     listing.updatedAt = Date.now();
-    
-    await listing.save();
-    
+
+    await listing.save({ validateModifiedOnly: true });
+
     console.log(`✅ ${field} toggled to ${listing[field]} for:`, listing.name);
 
     res.json({
@@ -324,36 +496,25 @@ exports.toggleStatus = async (req, res) => {
 
   } catch (error) {
     console.error('Toggle status error:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid listing ID'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to toggle status',
-      error: error.message
-    });
+    handleError(res, error, 'Failed to toggle status');
   }
 };
 
-// @desc    Get PG statistics
+// @desc    Get PG statistics (drafts included)
 // @route   GET /api/pg/stats
 // @access  Private/Admin
 exports.getStats = async (req, res) => {
   try {
-    const total = await PGListing.countDocuments();
-    const published = await PGListing.countDocuments({ published: true });
-    const featured = await PGListing.countDocuments({ featured: true });
-    const verified = await PGListing.countDocuments({ verified: true });
-    
-    const boys = await PGListing.countDocuments({ type: 'boys' });
-    const girls = await PGListing.countDocuments({ type: 'girls' });
-    const coed = await PGListing.countDocuments({ type: 'co-ed' });
-    
+    const [total, published, featured, verified, boys, girls, coed] = await Promise.all([
+      PGListing.countDocuments(),
+      PGListing.countDocuments({ published: true }),
+      PGListing.countDocuments({ featured: true }),
+      PGListing.countDocuments({ verified: true }),
+      PGListing.countDocuments({ type: 'boys' }),
+      PGListing.countDocuments({ type: 'girls' }),
+      PGListing.countDocuments({ type: 'co-ed' })
+    ]);
+
     res.json({
       success: true,
       data: {
@@ -370,62 +531,219 @@ exports.getStats = async (req, res) => {
 
   } catch (error) {
     console.error('Get stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get statistics',
-      error: error.message
+    handleError(res, error, 'Failed to get statistics');
+  }
+};
+
+// @desc    Get statistics of published listings
+// @route   GET /api/stats
+// @access  Public
+exports.getPublicStats = async (req, res) => {
+  try {
+    const published = { published: true };
+
+    const [totalPGs, boysPGs, girlsPGs, coedPGs, featuredPGs, verifiedPGs, avgPriceResult] = await Promise.all([
+      PGListing.countDocuments(published),
+      PGListing.countDocuments({ ...published, type: 'boys' }),
+      PGListing.countDocuments({ ...published, type: 'girls' }),
+      PGListing.countDocuments({ ...published, type: 'co-ed' }),
+      PGListing.countDocuments({ ...published, featured: true }),
+      PGListing.countDocuments({ ...published, verified: true }),
+      PGListing.aggregate([
+        { $match: published },
+        { $group: { _id: null, avgPrice: { $avg: '$price' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        totalPGs,
+        boysPGs,
+        girlsPGs,
+        coedPGs,
+        featuredPGs,
+        verifiedPGs,
+        avgPrice: avgPriceResult.length > 0 ? Math.round(avgPriceResult[0].avgPrice) : 0,
+        lastUpdated: new Date().toISOString()
+      }
     });
+
+  } catch (error) {
+    console.error('❌ Stats error:', error);
+    handleError(res, error, 'Failed to get stats');
   }
 };
 
-// @desc    Search PG listings
-// @route   GET /api/pg/search
+// @desc    Search published PG listings, ranked by relevance to q (each with a score)
+// @route   GET /api/pg/search?q=&location=&city=&type=&minPrice=&maxPrice=&amenities=&minRating=&minSafety=&sort=&page=&limit=
 // @access  Public
 exports.searchPGListings = async (req, res) => {
   try {
-    const { q, location, type } = req.query;
-    
-    let query = {};
-    
-    if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: 'i' } },
-        { address: { $regex: q, $options: 'i' } },
-        { city: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } }
-      ];
-    }
-    
-    if (location) {
-      query.$or = query.$or || [];
-      query.$or.push(
-        { address: { $regex: location, $options: 'i' } },
-        { city: { $regex: location, $options: 'i' } }
-      );
-    }
-    
-    if (type && type !== 'all') {
-      query.type = type;
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+
+    const { listings, total, mode } = await searchListings(buildListingFilter(req.query), {
+      term: req.query.q,
+      sort: parseSort(req.query.sort, null),
+      fallbackSort: { featured: -1, rating: -1 },
+      skip,
+      limit: limitNum
+    });
+
+    sendPage(res, { listings, total, pageNum, limitNum, mode });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    handleError(res, error, 'Search failed');
+  }
+};
+
+// @desc    Add sample listings
+// @route   POST /api/pg/sample-data
+// @access  Private/Admin (listing:create)
+exports.addSampleData = async (req, res) => {
+  try {
+    const sampleListings = [
+      {
+        name: 'Royal Boys PG',
+        description: 'Luxurious boys PG with modern amenities near Chandigarh University',
+        city: 'Chandigarh',
+        address: 'Gate 2, CU Road',
+        price: 9000,
+        type: 'boys',
+        images: ['https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=800'],
+        amenities: ['WiFi', 'AC', 'Meals', 'Parking', 'Gym', 'Study Room'],
+        location: { type: 'Point', coordinates: [76.5765, 30.7700] },
+        published: true,
+        verified: true,
+        featured: true,
+        rating: 4.7,
+        reviewCount: 56,
+        ownerName: 'Amit Verma',
+        ownerPhone: '9315058665',
+        contactPhone: '9315058665'
+      },
+      {
+        name: 'Sunshine Girls PG',
+        description: 'Safe and secure girls PG with 24/7 security and CCTV',
+        city: 'Chandigarh',
+        address: 'Library Road, CU',
+        price: 9500,
+        type: 'girls',
+        images: ['https://images.unsplash.com/photo-1560185127-6ed189bf02f4?w=800'],
+        amenities: ['WiFi', 'AC', 'Meals', 'CCTV', '24/7 Security', 'Hot Water'],
+        location: { type: 'Point', coordinates: [76.5740, 30.7672] },
+        published: true,
+        verified: true,
+        featured: true,
+        rating: 4.8,
+        reviewCount: 89,
+        ownerName: 'Sunita Devi',
+        ownerPhone: '9315058665',
+        contactPhone: '9315058665'
+      }
+    ];
+
+    const savedListings = await PGListing.create(sampleListings);
+
+    res.json({
+      success: true,
+      message: 'Sample data added successfully',
+      count: savedListings.length,
+      data: savedListings
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding sample data:', error);
+    handleError(res, error, 'Failed to add sample data');
+  }
+};
+
+// @desc    Get published listings near a point or landmark, nearest first
+// @route   GET /api/pg/nearby?lat=&lng=&radius=  or  ?landmark=&radius=
+// @access  Public
+exports.getNearbyListings = async (req, res) => {
+  try {
+    const { lat, lng, landmark, type, maxPrice, limit = 20 } = req.query;
+
+    let center;
+    let landmarkInfo = null;
+
+    if (landmark) {
+      landmarkInfo = findLandmark(landmark);
+      if (!landmarkInfo) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown landmark '${landmark}'`
+        });
+      }
+      center = landmarkInfo.coordinates;
+    } else {
+      center = parseLatLng(lat, lng);
+      if (!center) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid lat and lng (or a landmark) are required'
+        });
+      }
     }
-    
-    query.published = true;
-    
-    const listings = await PGListing.find(query)
-      .sort('-createdAt')
-      .limit(20);
+
+    // Radius in km, clamped to a sane range
+    const radiusKm = Math.min(
+      Math.max(parseFloat(req.query.radius) || DEFAULT_NEARBY_RADIUS_KM, 0.1),
+      MAX_NEARBY_RADIUS_KM
+    );
+
+    const query = {
+      published: true,
+      'location.coordinates': { $ne: [0, 0] }
+    };
+    if (type && type !== 'all') query.type = type;
+    if (maxPrice) query.price = { $lte: Number(maxPrice) };
+
+    const listings = await PGListing.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: center },
+          distanceField: 'distanceMeters',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query
+        }
+      },
+      { $limit: Math.min(parseInt(limit) || 20, 100) },
+      { $addFields: { distanceKm: { $round: [{ $divide: ['$distanceMeters', 1000] }, 2] } } },
+      { $project: { rooms: 0 } }
+    ]);
 
     res.json({
       success: true,
       count: listings.length,
+      center: { lat: center[1], lng: center[0] },
+      radiusKm,
+      landmark: landmarkInfo,
       data: listings
     });
 
   } catch (error) {
-    console.error('Search error:', error);
+    console.error('Nearby search error:', error);
     res.status(500).json({
       success: false,
-      message: 'Search failed',
+      message: 'Nearby search failed',
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get the landmark catalog (universities, metro stations...)
+// @route   GET /api/pg/landmarks?type=&city=
+// @access  Public
+exports.getLandmarks = (req, res) => {
+  const landmarks = getLandmarks({ type: req.query.type, city: req.query.city });
+
+  res.json({
+    success: true,
+    count: landmarks.length,
+    data: landmarks
+  });
+};
@@ -0,0 +1,195 @@
+const Booking = require('../models/Booking');
+const PGListing = require('../models/PGListing');
+const RentInstallment = require('../models/RentInstallment');
+const { loadAdminRole } = require('../middleware/authMiddleware');
+const { PERMISSIONS, hasPermission } = require('../config/constants');
+
+const installmentSummary = (installment) => ({
+  _id: installment._id,
+  sequence: installment.sequence,
+  period: installment.period,
+  dueDate: installment.dueDate,
+  amount: installment.amount,
+  lateFee: installment.lateFee,
+  amountPaid: installment.amountPaid,
+  outstanding: installment.outstanding,
+  status: installment.status
+});
+
+// Outstanding installments already due, grouped per booking (one row per tenancy)
+const duesReport = async (match, now = new Date()) => {
+  const installments = await RentInstallment.find({
+    ...match,
+    ...RentInstallment.outstandingQuery(),
+    dueDate: { $lte: now }
+  })
+    .populate('user', 'name email phone')
+    .populate('pgListing', 'name address')
+    .sort({ dueDate: 1 });
+
+  const rows = new Map();
+  installments.forEach(installment => {
+    const key = installment.booking.toString();
+    if (!rows.has(key)) {
+      rows.set(key, {
+        booking: installment.booking,
+        tenant: installment.user,
+        pgListing: installment.pgListing,
+        oldestDueDate: installment.dueDate,
+        outstanding: 0,
+        lateFees: 0,
+        installments: []
+      });
+    }
+
+    const row = rows.get(key);
+    row.outstanding += installment.outstanding;
+    row.lateFees += installment.lateFee;
+    row.installments.push(installmentSummary(installment));
+  });
+
+  const data = Array.from(rows.values()).sort((a, b) => b.outstanding - a.outstanding);
+
+  return {
+    totals: {
+      bookings: data.length,
+      tenants: new Set(data.map(row => row.tenant && row.tenant._id.toString())).size,
+      outstanding: data.reduce((total, row) => total + row.outstanding, 0),
+      lateFees: data.reduce((total, row) => total + row.lateFees, 0)
+    },
+    data
+  };
+};
+
+// @desc    Get the rent schedule of a booking
+// @route   GET /api/bookings/:id/rent-schedule
+// @access  Private (tenant, listing owner or staff)
+exports.getRentSchedule = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const listing = await PGListing.findById(booking.pgListing).select('owner');
+    const isTenant = booking.user.toString() === req.user._id.toString();
+    const isOwner = Boolean(listing && listing.owner && listing.owner.toString() === req.user._id.toString());
+
+    if (!isTenant && !isOwner && !hasPermission(await loadAdminRole(req), PERMISSIONS.BOOKING_MANAGE)) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const installments = await RentInstallment.find({ booking: booking._id }).sort({ sequence: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        booking: {
+          _id: booking._id,
+          status: booking.status,
+          startDate: booking.startDate,
+          endDate: booking.endDate,
+          monthlyRent: booking.monthlyRent
+        },
+        outstanding: installments
+          .filter(installment => installment.dueDate <= new Date())
+          .reduce((total, installment) => total + installment.outstanding, 0),
+        installments: installments.map(installmentSummary)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get rent schedule error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get rent schedule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the signed-in tenant's outstanding rent
+// @route   GET /api/bookings/mydues
+// @access  Private
+exports.getMyDues = async (req, res) => {
+  try {
+    const report = await duesReport({ user: req.user._id });
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get my dues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dues',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Outstanding rent per tenant of one listing
+// @route   GET /api/pg/:id/dues
+// @access  Private (listing owner or staff with booking:manage)
+exports.getListingDues = async (req, res) => {
+  try {
+    const report = await duesReport({ pgListing: req.listing._id });
+
+    res.json({
+      success: true,
+      pgListing: { _id: req.listing._id, name: req.listing.name },
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get listing dues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dues',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Outstanding rent across the owner's listings, per listing
+// @route   GET /api/owner/dues
+// @access  Private/Owner
+exports.getOwnerDues = async (req, res) => {
+  try {
+    const listings = await PGListing.find({ owner: req.user._id }).select('_id name');
+    const report = await duesReport({ pgListing: { $in: listings.map(listing => listing._id) } });
+
+    const byListing = listings.map(listing => {
+      const rows = report.data.filter(row => row.pgListing && row.pgListing._id.equals(listing._id));
+      return {
+        pgListing: { _id: listing._id, name: listing.name },
+        bookings: rows.length,
+        outstanding: rows.reduce((total, row) => total + row.outstanding, 0),
+        lateFees: rows.reduce((total, row) => total + row.lateFees, 0)
+      };
+    }).filter(listing => listing.bookings > 0);
+
+    res.json({
+      success: true,
+      totals: report.totals,
+      listings: byListing,
+      data: report.data
+    });
+
+  } catch (error) {
+    console.error('Get owner dues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dues',
+      error: error.message
+    });
+  }
+};
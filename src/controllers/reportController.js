@@ -0,0 +1,417 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const PGListing = require('../models/PGListing');
+const User = require('../models/User');
+const AdminUser = require('../models/AdminUser');
+const notify = require('../utils/notify');
+const { hasValidCoordinates } = require('../utils/validators');
+const { PERMISSIONS, REPORT_AUTO_UNPUBLISH_THRESHOLD, hasPermission } = require('../config/constants');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// Notifications are best effort; the triage action has already happened
+const notifySafely = async (userId, notification) => {
+  if (!userId) return;
+
+  try {
+    await notify(userId, notification);
+  } catch (error) {
+    console.error(`❌ Failed to send ${notification.type} notification:`, error.message);
+  }
+};
+
+// Take the listing offline once enough different users have open reports
+// against it. Returns true when this call unpublished it.
+const applyReportThreshold = async (listing) => {
+  const openReports = await Report.openReporterCount(listing._id);
+
+  if (openReports < REPORT_AUTO_UNPUBLISH_THRESHOLD || !listing.published) {
+    return false;
+  }
+
+  listing.published = false;
+  listing.reportHold = { heldAt: new Date(), openReports };
+  listing.updatedAt = Date.now();
+  await listing.save({ validateModifiedOnly: true });
+
+  console.log(`🚩 ${listing.name} unpublished after ${openReports} user reports`);
+
+  await notifySafely(listing.owner, {
+    type: 'listing.reported',
+    title: 'Your listing was taken offline',
+    message: `${listing.name} received several user reports and is hidden until our team reviews it.`,
+    link: `/owner/listings/${listing._id}`,
+    data: { pgListing: listing._id, openReports }
+  });
+
+  return true;
+};
+
+// Carry out what the resolution means for the listing
+const applyResolution = async (listing, action) => {
+  if (!listing) return;
+
+  // Only undo a takedown by reports; a listing its owner hid stays hidden
+  const heldByReports = Boolean(listing.reportHold && listing.reportHold.heldAt);
+
+  if (action === 'republish' && !listing.published && heldByReports) {
+    listing.published = true;
+  } else if (action === 'unpublish' && listing.published) {
+    listing.published = false;
+    listing.reportHold = { heldAt: new Date() };
+  } else {
+    return;
+  }
+
+  listing.updatedAt = Date.now();
+  await listing.save({ validateModifiedOnly: true });
+
+  await notifySafely(listing.owner, {
+    type: action === 'republish' ? 'listing.republished' : 'listing.unpublished',
+    title: action === 'republish' ? 'Your listing is live again' : 'Your listing was taken offline',
+    message: action === 'republish'
+      ? `We reviewed the reports against ${listing.name} and published it again.`
+      : `We reviewed the reports against ${listing.name} and unpublished it. Contact support once the issue is fixed.`,
+    link: `/owner/listings/${listing._id}`,
+    data: { pgListing: listing._id }
+  });
+};
+
+// @desc    Report a listing
+// @route   POST /api/pg/:id/report
+// @access  Private
+exports.createReport = async (req, res) => {
+  try {
+    const { reason, description, contactInfo } = req.body;
+
+    if (!Report.REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${Report.REASONS.join(', ')}`
+      });
+    }
+
+    const listing = await PGListing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'PG listing not found'
+      });
+    }
+
+    if (listing.owner && listing.owner.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own listing'
+      });
+    }
+
+    // One open report per user and listing, so one user cannot reach the threshold alone
+    const existing = await Report.findOne({
+      pgListing: listing._id,
+      reportedBy: req.user._id,
+      status: { $in: Report.OPEN_STATUSES }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this listing. Our team is looking into it.'
+      });
+    }
+
+    const report = await Report.create({
+      pgListing: listing._id,
+      reportedBy: req.user._id,
+      reason,
+      description,
+      contactInfo
+    });
+
+    await applyReportThreshold(listing);
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted. Thank you for helping keep listings accurate.',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Create report error:', error);
+    handleError(res, error, 'Failed to submit report');
+  }
+};
+
+// @desc    List reports for triage
+// @route   GET /api/admin/reports?status=open|pending|reviewed|resolved|all&reason=&pgId=&assignedTo=me|none|<userId>&page=&limit=
+// @access  Private/Admin (report:manage)
+exports.getReports = async (req, res) => {
+  try {
+    const { status = 'open', reason, pgId, assignedTo } = req.query;
+    const query = {};
+
+    if (status === 'open') {
+      query.status = { $in: Report.OPEN_STATUSES };
+    } else if (Report.STATUSES.includes(status)) {
+      query.status = status;
+    }
+
+    if (reason) query.reason = reason;
+    if (pgId) query.pgListing = pgId;
+
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'none') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .populate('pgListing', 'name city published reportHold')
+        .populate('reportedBy', 'name email')
+        .populate('assignedTo', 'name email')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Report.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: reports.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: reports
+    });
+
+  } catch (error) {
+    console.error('Get reports error:', error);
+    handleError(res, error, 'Failed to get reports');
+  }
+};
+
+// @desc    Get one report with its notes and the listing's other open reports
+// @route   GET /api/admin/reports/:id
+// @access  Private/Admin (report:manage)
+exports.getReport = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('pgListing', 'name city address owner published reportHold')
+      .populate('reportedBy', 'name email phone')
+      .populate('assignedTo', 'name email')
+      .populate('notes.by', 'name')
+      .populate('resolution.resolvedBy', 'name');
+
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    const related = await Report.find({
+      _id: { $ne: report._id },
+      pgListing: report.pgListing && report.pgListing._id,
+      status: { $in: Report.OPEN_STATUSES }
+    })
+      .populate('reportedBy', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        related
+      }
+    });
+
+  } catch (error) {
+    console.error('Get report error:', error);
+    handleError(res, error, 'Failed to get report');
+  }
+};
+
+// @desc    Assign a report to a staff member (default: yourself)
+// @route   PATCH /api/admin/reports/:id/assign
+// @access  Private/Admin (report:manage)
+exports.assignReport = async (req, res) => {
+  try {
+    const assigneeId = req.body.userId || req.user._id;
+
+    if (!mongoose.isValidObjectId(assigneeId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const assignee = await User.findById(assigneeId).select('name email role');
+    if (!assignee || !hasPermission(await AdminUser.resolveRole(assignee), PERMISSIONS.REPORT_MANAGE)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reports can only be assigned to staff who manage reports'
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    if (report.status === 'resolved') {
+      return res.status(400).json({ success: false, message: 'Report is already resolved' });
+    }
+
+    report.assignedTo = assignee._id;
+    report.assignedAt = new Date();
+    report.status = 'reviewed';
+    await report.save();
+
+    res.json({
+      success: true,
+      message: `Report assigned to ${assignee.name}`,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Assign report error:', error);
+    handleError(res, error, 'Failed to assign report');
+  }
+};
+
+// @desc    Add an internal note to a report
+// @route   POST /api/admin/reports/:id/notes
+// @access  Private/Admin (report:manage)
+exports.addReportNote = async (req, res) => {
+  try {
+    const text = (req.body.text || '').trim();
+
+    if (!text) {
+      return res.status(400).json({ success: false, message: 'Note text is required' });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    report.notes.push({ by: req.user._id, text });
+    if (report.status === 'pending') {
+      report.status = 'reviewed';
+    }
+    await report.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: report.notes
+    });
+
+  } catch (error) {
+    console.error('Add report note error:', error);
+    handleError(res, error, 'Failed to add note');
+  }
+};
+
+// @desc    Resolve a report: dismiss, republish or unpublish the listing.
+//          closeRelated resolves the listing's other open reports the same way.
+// @route   PATCH /api/admin/reports/:id/resolve
+// @access  Private/Admin (report:manage)
+exports.resolveReport = async (req, res) => {
+  try {
+    const { action, closeRelated } = req.body;
+    const note = (req.body.note || '').trim();
+
+    if (!Report.RESOLUTION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${Report.RESOLUTION_ACTIONS.join(', ')}`
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    if (report.status === 'resolved') {
+      return res.status(400).json({ success: false, message: 'Report is already resolved' });
+    }
+
+    const listing = await PGListing.findById(report.pgListing);
+
+    if (action === 'republish' && listing && !hasValidCoordinates(listing.location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The listing has no map location and cannot be published'
+      });
+    }
+
+    const reports = closeRelated
+      ? await Report.find({ pgListing: report.pgListing, status: { $in: Report.OPEN_STATUSES } })
+      : [report];
+
+    for (const item of reports) {
+      item.resolve(action, { note, by: req.user._id });
+      await item.save();
+    }
+
+    await applyResolution(listing, action);
+
+    const listingName = listing ? listing.name : 'the listing';
+    for (const item of reports) {
+      await notifySafely(item.reportedBy, {
+        type: 'report.resolved',
+        title: 'Your report was reviewed',
+        message: action === 'unpublish'
+          ? `Thanks for your report about ${listingName}. We have taken the listing offline.`
+          : `Thanks for your report about ${listingName}. We reviewed it and closed the report.`,
+        data: { report: item._id, pgListing: item.pgListing, action }
+      });
+    }
+
+    console.log(`🚩 ${reports.length} report(s) on ${listingName} resolved (${action}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${reports.length} report(s) resolved`,
+      data: {
+        reports,
+        listing: listing ? { _id: listing._id, published: listing.published } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    handleError(res, error, 'Failed to resolve report');
+  }
+};
@@ -0,0 +1,185 @@
+const Review = require('../models/Review');
+const notify = require('../utils/notify');
+const { redactText } = require('../utils/reviewFilter');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Queue views: reviews held by the filter, appeals waiting for a decision, or both
+const QUEUES = {
+  pending: { status: 'pending' },
+  appeals: { 'appeal.status': 'pending' },
+  all: { $or: [{ status: 'pending' }, { 'appeal.status': 'pending' }] }
+};
+
+const NOTIFICATIONS = {
+  approved: (review) => ({
+    title: 'Your review is live',
+    message: `Your review "${review.title}" was approved and is now public.`
+  }),
+  redacted: (review) => ({
+    title: 'Your review was edited and published',
+    message: `A moderator removed part of your review "${review.title}" before publishing it.`
+  }),
+  rejected: (review, canAppeal) => ({
+    title: 'Your review was not published',
+    message: `Your review "${review.title}" was rejected. Reason: ${review.moderation.reason}` +
+      (canAppeal ? '\nYou can appeal this decision once.' : '')
+  })
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid review ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// Apply a decision, save, and tell the author. A failed notification never
+// undoes the decision.
+const decide = async (req, res, action, { reason, edit } = {}) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({ success: false, message: 'Review not found' });
+  }
+
+  const appealPending = Boolean(review.appeal && review.appeal.status === 'pending');
+  if (review.status !== 'pending' && !appealPending && action !== 'redacted') {
+    return res.status(400).json({
+      success: false,
+      message: 'Review is not waiting for moderation'
+    });
+  }
+
+  if (edit) edit(review);
+  review.moderate(action, { reason, by: req.user._id });
+  await review.save();
+
+  try {
+    const canAppeal = action === 'rejected' && !review.appeal;
+    await notify(review.user, {
+      type: `review.${action}`,
+      ...NOTIFICATIONS[action](review, canAppeal),
+      link: `/reviews/${review._id}`,
+      data: { review: review._id, pgListing: review.pgListing, reason }
+    });
+  } catch (error) {
+    console.error(`❌ Failed to notify the author of review ${review._id}:`, error.message);
+  }
+
+  console.log(`🛡️ Review ${review._id} ${action} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Review ${action}`,
+    data: review
+  });
+};
+
+// @desc    Reviews waiting for moderation
+// @route   GET /api/admin/reviews/queue?type=all|pending|appeals&page=&limit=
+// @access  Private/Admin (review:moderate)
+exports.getQueue = async (req, res) => {
+  try {
+    const query = QUEUES[req.query.type] || QUEUES.all;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('user', 'name email')
+        .populate('pgListing', 'name city')
+        // Oldest first, so nobody waits forever
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: reviews
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    handleError(res, error, 'Failed to get moderation queue');
+  }
+};
+
+// @desc    Publish a held or appealed review as it is
+// @route   PATCH /api/admin/reviews/:id/approve
+// @access  Private/Admin (review:moderate)
+exports.approveReview = async (req, res) => {
+  try {
+    await decide(req, res, 'approved', { reason: (req.body.reason || '').trim() });
+  } catch (error) {
+    console.error('Approve review error:', error);
+    handleError(res, error, 'Failed to approve review');
+  }
+};
+
+// @desc    Reject a held or appealed review
+// @route   PATCH /api/admin/reviews/:id/reject
+// @access  Private/Admin (review:moderate)
+exports.rejectReview = async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a review'
+      });
+    }
+
+    await decide(req, res, 'rejected', { reason });
+  } catch (error) {
+    console.error('Reject review error:', error);
+    handleError(res, error, 'Failed to reject review');
+  }
+};
+
+// @desc    Edit out the offending text and publish. Send title/comment to
+//          replace the text, or nothing to strip whatever the filter flags.
+// @route   PATCH /api/admin/reviews/:id/redact
+// @access  Private/Admin (review:moderate)
+exports.redactReview = async (req, res) => {
+  try {
+    const { title, comment } = req.body;
+
+    await decide(req, res, 'redacted', {
+      reason: (req.body.reason || '').trim() || 'Removed personal details, links or abusive language',
+      edit: (review) => {
+        review.title = title !== undefined ? title : redactText(review.title);
+        review.comment = comment !== undefined ? comment : redactText(review.comment);
+        review.flags = [];
+      }
+    });
+  } catch (error) {
+    console.error('Redact review error:', error);
+    handleError(res, error, 'Failed to redact review');
+  }
+};
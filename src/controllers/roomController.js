@@ -0,0 +1,337 @@
+const PGListing = require('../models/PGListing');
+const Booking = require('../models/Booking');
+const { isTrueFlag } = require('../utils/validators');
+const { alertSnapshot, sendListingAlerts } = require('../utils/listingAlerts');
+
+const inventorySummary = (listing) => ({
+  availability: listing.availability,
+  price: listing.price,
+  roomTypes: listing.roomTypes,
+  totalBeds: listing.totalBeds,
+  vacantBeds: listing.vacantBeds
+});
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// Whether a live booking holds any of the beds. Bookings starting more than
+// BED_HANDOVER_DAYS ahead have not marked their bed yet, so the bed alone
+// does not tell.
+const isBookedBed = async (beds) => {
+  const bedIds = beds.map(bed => bed._id);
+  return Boolean(await Booking.exists({ ...Booking.liveQuery(), bed: { $in: bedIds } }));
+};
+
+// Load room (and optionally bed) from req.listing, or answer 404
+const findRoomAndBed = (req, res) => {
+  const room = req.listing.rooms.id(req.params.roomId);
+  if (!room) {
+    res.status(404).json({ success: false, message: 'Room not found' });
+    return {};
+  }
+
+  if (!req.params.bedId) {
+    return { room };
+  }
+
+  const bed = room.beds.id(req.params.bedId);
+  if (!bed) {
+    res.status(404).json({ success: false, message: 'Bed not found' });
+    return {};
+  }
+
+  return { room, bed };
+};
+
+// @desc    Get rooms and bed vacancy of a listing
+// @route   GET /api/pg/:id/rooms
+// @access  Public
+exports.getRooms = async (req, res) => {
+  try {
+    const listing = await PGListing.findById(req.params.id).select('name rooms availability price roomTypes totalBeds vacantBeds published');
+
+    if (!listing || !listing.published) {
+      return res.status(404).json({
+        success: false,
+        message: 'PG listing not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...inventorySummary(listing),
+        rooms: listing.rooms.map(room => ({
+          _id: room._id,
+          number: room.number,
+          floor: room.floor,
+          sharingType: room.sharingType,
+          price: room.price,
+          bedCount: room.bedCount,
+          vacantBeds: room.vacantBeds,
+          beds: room.beds.map(bed => ({ _id: bed._id, label: bed.label, occupied: bed.occupied }))
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get rooms error:', error);
+    handleError(res, error, 'Server error');
+  }
+};
+
+// @desc    Add a room to a listing
+// @route   POST /api/pg/:id/rooms
+// @access  Private/Owner/Admin
+exports.addRoom = async (req, res) => {
+  try {
+    const { number, floor, sharingType, price, bedCount } = req.body;
+    const listing = req.listing;
+    const before = alertSnapshot(listing);
+
+    if (number !== undefined && listing.rooms.some(room => room.number === String(number).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: `Room ${number} already exists`
+      });
+    }
+
+    listing.rooms.push({
+      number,
+      floor,
+      sharingType,
+      price,
+      beds: PGListing.buildBeds(sharingType, bedCount)
+    });
+    await listing.save({ validateModifiedOnly: true });
+    await sendListingAlerts(before, listing);
+
+    res.status(201).json({
+      success: true,
+      message: 'Room added successfully',
+      data: {
+        room: listing.rooms[listing.rooms.length - 1],
+        inventory: inventorySummary(listing)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add room error:', error);
+    handleError(res, error, 'Failed to add room');
+  }
+};
+
+// @desc    Update a room's number, floor or price
+// @route   PUT /api/pg/:id/rooms/:roomId
+// @access  Private/Owner/Admin
+exports.updateRoom = async (req, res) => {
+  try {
+    const before = alertSnapshot(req.listing);
+    const { room } = findRoomAndBed(req, res);
+    if (!room) return;
+
+    ['number', 'floor', 'price'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        room[field] = req.body[field];
+      }
+    });
+    await req.listing.save({ validateModifiedOnly: true });
+    await sendListingAlerts(before, req.listing);
+
+    res.json({
+      success: true,
+      message: 'Room updated successfully',
+      data: {
+        room,
+        inventory: inventorySummary(req.listing)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update room error:', error);
+    handleError(res, error, 'Failed to update room');
+  }
+};
+
+// @desc    Remove a room with no occupied beds
+// @route   DELETE /api/pg/:id/rooms/:roomId
+// @access  Private/Owner/Admin
+exports.deleteRoom = async (req, res) => {
+  try {
+    const before = alertSnapshot(req.listing);
+    const { room } = findRoomAndBed(req, res);
+    if (!room) return;
+
+    if (room.beds.some(bed => bed.occupied)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove a room with occupied beds'
+      });
+    }
+
+    if (await isBookedBed(room.beds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove a room with beds booked by tenants'
+      });
+    }
+
+    room.deleteOne();
+    await req.listing.save({ validateModifiedOnly: true });
+    await sendListingAlerts(before, req.listing);
+
+    res.json({
+      success: true,
+      message: 'Room removed successfully',
+      data: { inventory: inventorySummary(req.listing) }
+    });
+
+  } catch (error) {
+    console.error('Delete room error:', error);
+    handleError(res, error, 'Failed to remove room');
+  }
+};
+
+// @desc    Add a bed to a room
+// @route   POST /api/pg/:id/rooms/:roomId/beds
+// @access  Private/Owner/Admin
+exports.addBed = async (req, res) => {
+  try {
+    const before = alertSnapshot(req.listing);
+    const { room } = findRoomAndBed(req, res);
+    if (!room) return;
+
+    const label = req.body.label || String.fromCharCode(65 + room.beds.length);
+    if (room.beds.some(bed => bed.label === label)) {
+      return res.status(400).json({
+        success: false,
+        message: `Bed ${label} already exists in room ${room.number}`
+      });
+    }
+
+    room.beds.push({ label });
+    await req.listing.save({ validateModifiedOnly: true });
+    await sendListingAlerts(before, req.listing);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bed added successfully',
+      data: {
+        room,
+        inventory: inventorySummary(req.listing)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add bed error:', error);
+    handleError(res, error, 'Failed to add bed');
+  }
+};
+
+// @desc    Mark a bed occupied or vacant (for tenants not booked online)
+// @route   PATCH /api/pg/:id/rooms/:roomId/beds/:bedId
+// @access  Private/Owner/Admin
+exports.updateBed = async (req, res) => {
+  try {
+    const before = alertSnapshot(req.listing);
+    const { room, bed } = findRoomAndBed(req, res);
+    if (!bed) return;
+
+    if (req.body.occupied === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'occupied is required'
+      });
+    }
+
+    // Beds held by a booking, now or for a later stay, are freed through
+    // the booking lifecycle
+    if (bed.booking || await isBookedBed([bed])) {
+      return res.status(400).json({
+        success: false,
+        message: 'This bed is reserved by a booking; update the booking instead'
+      });
+    }
+
+    bed.occupied = isTrueFlag(req.body.occupied);
+    bed.occupiedSince = bed.occupied ? new Date() : null;
+    await req.listing.save({ validateModifiedOnly: true });
+    await sendListingAlerts(before, req.listing);
+
+    res.json({
+      success: true,
+      message: `Bed marked ${bed.occupied ? 'occupied' : 'vacant'}`,
+      data: {
+        room,
+        inventory: inventorySummary(req.listing)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update bed error:', error);
+    handleError(res, error, 'Failed to update bed');
+  }
+};
+
+// @desc    Remove a vacant bed
+// @route   DELETE /api/pg/:id/rooms/:roomId/beds/:bedId
+// @access  Private/Owner/Admin
+exports.deleteBed = async (req, res) => {
+  try {
+    const before = alertSnapshot(req.listing);
+    const { room, bed } = findRoomAndBed(req, res);
+    if (!bed) return;
+
+    if (bed.occupied) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove an occupied bed'
+      });
+    }
+
+    if (await isBookedBed([bed])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove a bed booked by a tenant'
+      });
+    }
+
+    bed.deleteOne();
+    await req.listing.save({ validateModifiedOnly: true });
+    await sendListingAlerts(before, req.listing);
+
+    res.json({
+      success: true,
+      message: 'Bed removed successfully',
+      data: {
+        room,
+        inventory: inventorySummary(req.listing)
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete bed error:', error);
+    handleError(res, error, 'Failed to remove bed');
+  }
+};
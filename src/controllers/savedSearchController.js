@@ -0,0 +1,243 @@
+const SavedSearch = require('../models/SavedSearch');
+const { searchListings } = require('../utils/listingSearch');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const CRITERIA_FIELDS = ['q', 'city', 'type', 'minPrice', 'maxPrice', 'amenities'];
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// Search parameters from the body, as sent to /api/search.
+// amenities may be an array or a comma separated string.
+const pickCriteria = (body) => {
+  const criteria = {};
+
+  CRITERIA_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+
+    if (field === 'amenities') {
+      criteria.amenities = (Array.isArray(body.amenities) ? body.amenities : String(body.amenities).split(','))
+        .map(amenity => String(amenity).trim())
+        .filter(Boolean);
+    } else if (field === 'minPrice' || field === 'maxPrice') {
+      criteria[field] = body[field] === '' || body[field] === null ? null : Number(body[field]);
+    } else if (field === 'type') {
+      criteria.type = body.type === 'all' ? '' : body.type;
+    } else {
+      criteria[field] = body[field];
+    }
+  });
+
+  return criteria;
+};
+
+const findOwnSearch = (req, projection = '') => {
+  return SavedSearch.findOne({ _id: req.params.id, user: req.user._id }).select(projection);
+};
+
+// Start digests from what matches now, so the first one only has new listings
+const resetBaseline = async (search) => {
+  search.markSeen(await search.findMatchIds());
+};
+
+// @desc    Get the user's saved searches
+// @route   GET /api/saved-searches
+// @access  Private
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: searches.length,
+      data: searches
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    handleError(res, error, 'Failed to get saved searches');
+  }
+};
+
+// @desc    Save a search (q, city, type, minPrice, maxPrice, amenities), optionally with a daily or weekly digest
+// @route   POST /api/saved-searches
+// @access  Private
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= SavedSearch.MAX_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${SavedSearch.MAX_PER_USER} searches`
+      });
+    }
+
+    const search = new SavedSearch({
+      user: req.user._id,
+      name: req.body.name,
+      criteria: pickCriteria(req.body),
+      frequency: req.body.frequency
+    });
+
+    await search.validate();
+    await resetBaseline(search);
+    await search.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      data: search
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    handleError(res, error, 'Failed to save search');
+  }
+};
+
+// @desc    Get a saved search
+// @route   GET /api/saved-searches/:id
+// @access  Private
+exports.getSavedSearch = async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+
+    if (!search) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    res.json({ success: true, data: search });
+  } catch (error) {
+    console.error('Get saved search error:', error);
+    handleError(res, error, 'Failed to get saved search');
+  }
+};
+
+// @desc    Rename a saved search, change its criteria or its digest frequency
+// @route   PUT /api/saved-searches/:id
+// @access  Private
+exports.updateSavedSearch = async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, '+matchedListings');
+
+    if (!search) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    const criteria = pickCriteria(req.body);
+    const criteriaChanged = Object.keys(criteria).length > 0;
+    const subscribing = req.body.frequency !== undefined && req.body.frequency !== 'none' && search.frequency === 'none';
+
+    if (req.body.name !== undefined) search.name = req.body.name;
+    if (req.body.frequency !== undefined) search.frequency = req.body.frequency;
+    if (criteriaChanged) {
+      search.criteria = { ...search.criteria.toObject(), ...criteria };
+    }
+
+    await search.validate();
+
+    // Listings that matched before a change are not news
+    if (criteriaChanged || subscribing) {
+      await resetBaseline(search);
+    }
+    await search.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      data: search
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    handleError(res, error, 'Failed to update saved search');
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!search) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted',
+      data: { id: req.params.id }
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    handleError(res, error, 'Failed to delete saved search');
+  }
+};
+
+// @desc    Re-run a saved search. isNew marks listings that matched since its last digest run.
+// @route   GET /api/saved-searches/:id/results?page=&limit=
+// @access  Private
+exports.getSavedSearchResults = async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, '+matchedListings');
+
+    if (!search) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const { listings, total, mode } = await searchListings(search.toFilter(), {
+      term: search.criteria.q,
+      fallbackSort: { featured: -1, rating: -1 },
+      skip: (page - 1) * limit,
+      limit
+    });
+
+    const seen = new Set(search.matchedListings.map(id => id.toString()));
+
+    res.json({
+      success: true,
+      count: listings.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      ...(mode ? { searchMode: mode } : {}),
+      search: {
+        _id: search._id,
+        name: search.name,
+        criteria: search.criteria,
+        lastRunAt: search.lastRunAt
+      },
+      data: listings.map(listing => ({
+        ...listing.toJSON(),
+        isNew: !seen.has(listing._id.toString())
+      }))
+    });
+  } catch (error) {
+    console.error('Saved search results error:', error);
+    handleError(res, error, 'Failed to run saved search');
+  }
+};
@@ -0,0 +1,64 @@
+const { facetedSearch, parsePagination, parseSort } = require('../utils/listingSearch');
+const { suggest } = require('../utils/suggestIndex');
+
+// @desc    Search published listings with facet counts for type, price band, amenities, locality, verified and rating band.
+//          Each facet's counts apply every other active filter.
+// @route   GET /api/search/faceted?q=&location=&city=&type=girls,co-ed&priceBand=5000-8000&minPrice=&maxPrice=&amenities=WiFi,AC&locality=Kharar,Landran&verified=true&minRating=4&sort=&page=&limit=
+// @access  Public
+exports.facetedSearch = async (req, res) => {
+  try {
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+
+    const { listings, total, mode, facets } = await facetedSearch(req.query, {
+      sort: parseSort(req.query.sort, null),
+      skip,
+      limit: limitNum
+    });
+
+    res.header('X-Total-Count', String(total));
+    res.header('Access-Control-Expose-Headers', 'X-Total-Count, Content-Type');
+
+    res.json({
+      success: true,
+      count: listings.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      ...(mode ? { searchMode: mode } : {}),
+      facets,
+      data: listings
+    });
+
+  } catch (error) {
+    console.error('Faceted search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Typeahead suggestions grouped into PG names (with slugs), localities, cities and landmarks
+// @route   GET /api/search/suggest?q=&limit=
+// @access  Public
+exports.suggest = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').slice(0, 100);
+    const data = await suggest(q, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      query: q,
+      data
+    });
+
+  } catch (error) {
+    console.error('Suggest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get suggestions',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,424 @@
+const mongoose = require('mongoose');
+const Wishlist = require('../models/Wishlist');
+const PGListing = require('../models/PGListing');
+const { isTrueFlag } = require('../utils/validators');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'https://eassy-to-rent-startup.vercel.app';
+
+const ALERT_SETTINGS = ['priceDrop', 'vacancy', 'newRoomType'];
+
+const LISTING_FIELDS = 'name slug city locality address price type images rating reviewCount availability published';
+
+const handleError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  // Two requests edited the wishlist at the same time
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'Your wishlist changed in the meantime. Please try again.'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+const shareUrl = (token) => `${CLIENT_URL}/shortlist/${token}`;
+
+// Items with their listing. Listings that were deleted or unpublished since
+// they were saved stay in the list, marked unavailable, so the user can see
+// what happened and remove them. Alert settings are only shown to the owner.
+const presentItems = (items, listings, { withAlerts = false } = {}) => items.map(item => {
+  const listing = listings.get(item.pgListing.toString());
+  let status = 'available';
+  let pgListing = listing;
+
+  if (!listing) {
+    status = 'removed';
+    pgListing = { _id: item.pgListing };
+  } else if (!listing.published) {
+    status = 'unavailable';
+    pgListing = { _id: listing._id, name: listing.name, city: listing.city };
+  }
+
+  return {
+    pgListing,
+    status,
+    note: item.note,
+    addedAt: item.addedAt,
+    ...(withAlerts ? { alerts: item.alerts } : {})
+  };
+});
+
+const loadListings = async (collections) => {
+  const ids = collections.flatMap(collection => collection.items.map(item => item.pgListing));
+  const listings = await PGListing.find({ _id: { $in: ids } }).select(LISTING_FIELDS);
+  return new Map(listings.map(listing => [listing._id.toString(), listing]));
+};
+
+const presentCollection = (collection, listings) => ({
+  _id: collection._id,
+  name: collection.name,
+  createdAt: collection.createdAt,
+  shared: Boolean(collection.shareToken),
+  shareUrl: collection.shareToken ? shareUrl(collection.shareToken) : null,
+  count: collection.items.length,
+  items: presentItems(collection.items, listings, { withAlerts: true })
+});
+
+const sendWishlist = async (res, wishlist, { status = 200, message } = {}) => {
+  const listings = await loadListings(wishlist.collections);
+
+  res.status(status).json({
+    success: true,
+    ...(message ? { message } : {}),
+    data: {
+      _id: wishlist._id,
+      alertDelivery: wishlist.alertDelivery,
+      collections: wishlist.collections.map(collection => presentCollection(collection, listings))
+    }
+  });
+};
+
+// Load the caller's wishlist and one of its collections. Sends the error
+// response and returns {} when the collection does not exist.
+const loadCollection = async (req, res) => {
+  const wishlist = await Wishlist.forUser(req.user._id);
+  const collection = mongoose.isValidObjectId(req.params.collectionId)
+    ? wishlist.collections.id(req.params.collectionId)
+    : null;
+
+  if (!collection) {
+    res.status(404).json({ success: false, message: 'Collection not found' });
+    return {};
+  }
+
+  return { wishlist, collection };
+};
+
+// @desc    Get the user's wishlist with all collections
+// @route   GET /api/wishlist
+// @access  Private
+exports.getWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.forUser(req.user._id);
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    handleError(res, error, 'Failed to get wishlist');
+  }
+};
+
+// @desc    Create a named collection
+// @route   POST /api/wishlist/collections
+// @access  Private
+exports.createCollection = async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Collection name is required' });
+    }
+
+    const wishlist = await Wishlist.forUser(req.user._id);
+
+    if (wishlist.findCollectionByName(name)) {
+      return res.status(400).json({ success: false, message: `You already have a collection named "${name}"` });
+    }
+
+    wishlist.collections.push({ name });
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist, { status: 201, message: 'Collection created' });
+  } catch (error) {
+    console.error('Create collection error:', error);
+    handleError(res, error, 'Failed to create collection');
+  }
+};
+
+// @desc    Rename a collection
+// @route   PATCH /api/wishlist/collections/:collectionId
+// @access  Private
+exports.renameCollection = async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Collection name is required' });
+    }
+
+    const { wishlist, collection } = await loadCollection(req, res);
+    if (!collection) return;
+
+    if (wishlist.findCollectionByName(name, collection._id)) {
+      return res.status(400).json({ success: false, message: `You already have a collection named "${name}"` });
+    }
+
+    collection.name = name;
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist, { message: 'Collection renamed' });
+  } catch (error) {
+    console.error('Rename collection error:', error);
+    handleError(res, error, 'Failed to rename collection');
+  }
+};
+
+// @desc    Delete a collection and its items
+// @route   DELETE /api/wishlist/collections/:collectionId
+// @access  Private
+exports.deleteCollection = async (req, res) => {
+  try {
+    const { wishlist, collection } = await loadCollection(req, res);
+    if (!collection) return;
+
+    collection.deleteOne();
+
+    // Always keep somewhere to save PGs to
+    if (wishlist.collections.length === 0) {
+      wishlist.collections.push({ name: Wishlist.DEFAULT_COLLECTION_NAME });
+    }
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist, { message: 'Collection deleted' });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    handleError(res, error, 'Failed to delete collection');
+  }
+};
+
+// @desc    Save a PG to a collection (the first one unless collectionId is given)
+// @route   POST /api/wishlist/items
+// @access  Private
+exports.addItem = async (req, res) => {
+  try {
+    const { pgId, collectionId, note } = req.body;
+
+    if (!pgId || !mongoose.isValidObjectId(pgId)) {
+      return res.status(400).json({ success: false, message: 'A valid pgId is required' });
+    }
+
+    const listing = await PGListing.findOne({ _id: pgId, published: true }).select('_id');
+    if (!listing) {
+      return res.status(404).json({ success: false, message: 'PG listing not found' });
+    }
+
+    const wishlist = await Wishlist.forUser(req.user._id);
+    const collection = collectionId
+      ? mongoose.isValidObjectId(collectionId) && wishlist.collections.id(collectionId)
+      : wishlist.collections[0];
+
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    if (collection.hasListing(listing._id)) {
+      return res.status(400).json({ success: false, message: `This PG is already in "${collection.name}"` });
+    }
+
+    collection.items.push({ pgListing: listing._id, note });
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist, { status: 201, message: `Saved to "${collection.name}"` });
+  } catch (error) {
+    console.error('Add wishlist item error:', error);
+    handleError(res, error, 'Failed to save PG');
+  }
+};
+
+// @desc    Update the note on a saved PG
+// @route   PATCH /api/wishlist/collections/:collectionId/items/:pgId
+// @access  Private
+exports.updateItemNote = async (req, res) => {
+  try {
+    const { wishlist, collection } = await loadCollection(req, res);
+    if (!collection) return;
+
+    const item = collection.items.find(entry => entry.pgListing.toString() === req.params.pgId);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'PG is not in this collection' });
+    }
+
+    item.note = req.body.note || '';
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist, { message: 'Note updated' });
+  } catch (error) {
+    console.error('Update wishlist note error:', error);
+    handleError(res, error, 'Failed to update note');
+  }
+};
+
+// @desc    Remove a PG from a collection
+// @route   DELETE /api/wishlist/collections/:collectionId/items/:pgId
+// @access  Private
+exports.removeItem = async (req, res) => {
+  try {
+    const { wishlist, collection } = await loadCollection(req, res);
+    if (!collection) return;
+
+    const index = collection.items.findIndex(entry => entry.pgListing.toString() === req.params.pgId);
+    if (index === -1) {
+      return res.status(404).json({ success: false, message: 'PG is not in this collection' });
+    }
+
+    collection.items.splice(index, 1);
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist, { message: 'Removed from collection' });
+  } catch (error) {
+    console.error('Remove wishlist item error:', error);
+    handleError(res, error, 'Failed to remove PG');
+  }
+};
+
+// @desc    Opt in or out of price-drop, vacancy and new-room-type alerts for a saved PG
+// @route   PATCH /api/wishlist/collections/:collectionId/items/:pgId/alerts
+// @access  Private
+exports.updateItemAlerts = async (req, res) => {
+  try {
+    const { wishlist, collection } = await loadCollection(req, res);
+    if (!collection) return;
+
+    const item = collection.items.find(entry => entry.pgListing.toString() === req.params.pgId);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'PG is not in this collection' });
+    }
+
+    const changes = ALERT_SETTINGS.filter(key => req.body[key] !== undefined);
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${ALERT_SETTINGS.join(', ')}`
+      });
+    }
+
+    changes.forEach(key => {
+      item.alerts[key] = isTrueFlag(req.body[key]);
+    });
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist, { message: 'Alerts updated' });
+  } catch (error) {
+    console.error('Update wishlist alerts error:', error);
+    handleError(res, error, 'Failed to update alerts');
+  }
+};
+
+// @desc    Choose instant alerts or a daily digest
+// @route   PUT /api/wishlist/alerts
+// @access  Private
+exports.updateAlertDelivery = async (req, res) => {
+  try {
+    const { delivery } = req.body;
+
+    if (!['instant', 'daily'].includes(delivery)) {
+      return res.status(400).json({ success: false, message: 'Delivery must be instant or daily' });
+    }
+
+    const wishlist = await Wishlist.forUser(req.user._id);
+    wishlist.alertDelivery = delivery;
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: delivery === 'daily' ? 'Alerts will arrive as a daily digest' : 'Alerts will arrive right away',
+      data: { alertDelivery: wishlist.alertDelivery }
+    });
+  } catch (error) {
+    console.error('Update alert delivery error:', error);
+    handleError(res, error, 'Failed to update alert delivery');
+  }
+};
+
+// @desc    Create (or return) the read-only share link of a collection
+// @route   POST /api/wishlist/collections/:collectionId/share
+// @access  Private
+exports.shareCollection = async (req, res) => {
+  try {
+    const { wishlist, collection } = await loadCollection(req, res);
+    if (!collection) return;
+
+    const token = collection.share();
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: 'Share link ready',
+      data: { token, url: shareUrl(token), sharedAt: collection.sharedAt }
+    });
+  } catch (error) {
+    console.error('Share collection error:', error);
+    handleError(res, error, 'Failed to share collection');
+  }
+};
+
+// @desc    Revoke the share link of a collection
+// @route   DELETE /api/wishlist/collections/:collectionId/share
+// @access  Private
+exports.unshareCollection = async (req, res) => {
+  try {
+    const { wishlist, collection } = await loadCollection(req, res);
+    if (!collection) return;
+
+    collection.unshare();
+    await wishlist.save();
+
+    res.json({ success: true, message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Unshare collection error:', error);
+    handleError(res, error, 'Failed to revoke share link');
+  }
+};
+
+// @desc    View a shared collection (read-only, no sign-in)
+// @route   GET /api/wishlist/shared/:token
+// @access  Public
+exports.getSharedCollection = async (req, res) => {
+  try {
+    const token = String(req.params.token);
+    const wishlist = await Wishlist.findOne({ 'collections.shareToken': token }).populate('user', 'name');
+    const collection = wishlist && wishlist.collections.find(entry => entry.shareToken === token);
+
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'This shortlist is no longer shared' });
+    }
+
+    // Deleted listings carry nothing worth showing to someone else
+    const items = presentItems(collection.items, await loadListings([collection]))
+      .filter(item => item.status !== 'removed');
+
+    res.json({
+      success: true,
+      data: {
+        name: collection.name,
+        // First name only; the link may be forwarded
+        sharedBy: wishlist.user ? wishlist.user.name.split(' ')[0] : null,
+        sharedAt: collection.sharedAt,
+        count: items.length,
+        items
+      }
+    });
+  } catch (error) {
+    console.error('Get shared collection error:', error);
+    handleError(res, error, 'Failed to get shared shortlist');
+  }
+};
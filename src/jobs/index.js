@@ -0,0 +1,58 @@
+const Booking = require('../models/Booking');
+const { sendRentReminders } = require('./rentReminders');
+const { sendAlertDigests } = require('./listingAlertDigest');
+const { sendSavedSearchDigests } = require('./savedSearchDigests');
+const { issueMissingDocuments } = require('../utils/invoices');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Register every recurring job on the given runner
+const registerJobs = (runner) => {
+  // Free beds held by bookings that were never confirmed
+  runner.registerJob('expire-booking-holds', MINUTE, async () => {
+    const expired = await Booking.expireHolds();
+    if (expired > 0) {
+      console.log(`⌛ Expired ${expired} unconfirmed booking hold(s)`);
+    }
+    return expired;
+  });
+
+  // Invoices and receipts the payment webhook could not issue
+  runner.registerJob('issue-invoices', HOUR, async () => {
+    const issued = await issueMissingDocuments();
+    if (issued > 0) {
+      console.log(`🧾 Issued documents for ${issued} payment(s)`);
+    }
+    return issued;
+  });
+
+  // Late fees and rent due / overdue reminders
+  runner.registerJob('rent-reminders', HOUR, async () => {
+    const sent = await sendRentReminders();
+    if (sent > 0) {
+      console.log(`🔔 Sent ${sent} rent reminder(s)`);
+    }
+    return sent;
+  });
+
+  // Wishlist alerts for users who chose a daily digest; each user is due once a day
+  runner.registerJob('wishlist-alert-digest', HOUR, async () => {
+    const sent = await sendAlertDigests();
+    if (sent > 0) {
+      console.log(`🔔 Sent ${sent} wishlist alert digest(s)`);
+    }
+    return sent;
+  });
+
+  // "New matching PGs" digests; each saved search is due daily or weekly
+  runner.registerJob('saved-search-digests', HOUR, async () => {
+    const sent = await sendSavedSearchDigests();
+    if (sent > 0) {
+      console.log(`🔎 Sent ${sent} saved search digest(s)`);
+    }
+    return sent;
+  });
+};
+
+module.exports = registerJobs;
@@ -0,0 +1,106 @@
+const ListingAlert = require('../models/ListingAlert');
+const Wishlist = require('../models/Wishlist');
+const User = require('../models/User');
+const notify = require('../utils/notify');
+const { listingAlertDigest } = require('../utils/mail/templates');
+
+// Group a user's alerts by listing, skipping listings that are gone or offline
+const groupByListing = (alerts) => {
+  const groups = new Map();
+
+  alerts.forEach(alert => {
+    const listing = alert.pgListing;
+    if (!listing || !listing.published) return;
+
+    const key = listing._id.toString();
+    if (!groups.has(key)) {
+      groups.set(key, { listing, alerts: [] });
+    }
+    groups.get(key).alerts.push(alert);
+  });
+
+  return Array.from(groups.values());
+};
+
+// Send one user's digest. The day's run is claimed on the wishlist first, so
+// two runners never send the same digest; alerts are only marked delivered
+// once the notification exists, and a failed send releases the claim so the
+// next run retries. Returns true when a digest went out.
+const runDigest = async (wishlist, now) => {
+  const claimed = await Wishlist.findOneAndUpdate(
+    { _id: wishlist._id, lastAlertDigestAt: wishlist.lastAlertDigestAt },
+    { lastAlertDigestAt: now }
+  );
+  if (!claimed) return false;
+
+  const releaseClaim = () => Wishlist.updateOne(
+    { _id: wishlist._id, lastAlertDigestAt: now },
+    { lastAlertDigestAt: wishlist.lastAlertDigestAt }
+  );
+
+  try {
+    const alerts = await ListingAlert.find({ user: wishlist.user, delivery: 'daily', deliveredAt: null, createdAt: { $lte: now } })
+      .populate('pgListing', 'name published')
+      .sort({ createdAt: 1 });
+    const groups = groupByListing(alerts);
+    const user = groups.length > 0 ? await User.findById(wishlist.user).select('name email status') : null;
+
+    // Nothing worth sending (listings gone or offline, or no such user):
+    // settle the alerts quietly without using up the day's digest
+    if (!user) {
+      await ListingAlert.updateMany({ _id: { $in: alerts.map(alert => alert._id) } }, { deliveredAt: now });
+      await releaseClaim();
+      return false;
+    }
+
+    const mail = listingAlertDigest(user, groups);
+    const notification = await notify(user, {
+      type: 'wishlist.digest',
+      title: mail.subject,
+      message: mail.message,
+      link: '/wishlist',
+      data: {
+        listings: groups.map(({ listing, alerts: listingAlerts }) => ({
+          pgListing: listing._id,
+          alerts: listingAlerts.map(alert => ({ kind: alert.kind, details: alert.details }))
+        }))
+      },
+      mail
+    });
+
+    await ListingAlert.updateMany(
+      { _id: { $in: alerts.map(alert => alert._id) } },
+      { deliveredAt: now, notification: notification ? notification._id : null }
+    );
+    return Boolean(notification);
+  } catch (error) {
+    await releaseClaim();
+    throw error;
+  }
+};
+
+// Digests for every user with daily delivery whose digest is due and who has
+// undelivered alerts. Runs hourly, so a restart delays a digest by at most
+// an hour. A failing user is logged and retried at the next run. Returns how
+// many digests went out.
+const sendAlertDigests = async (now = new Date()) => {
+  const userIds = await ListingAlert.distinct('user', { delivery: 'daily', deliveredAt: null });
+  if (userIds.length === 0) return 0;
+
+  const due = await Wishlist.find(Wishlist.digestDueQuery(userIds, now)).select('user lastAlertDigestAt');
+  let sent = 0;
+
+  for (const wishlist of due) {
+    try {
+      if (await runDigest(wishlist, now)) sent++;
+    } catch (error) {
+      console.error(`❌ Wishlist alert digest for user ${wishlist.user} failed:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendAlertDigests
+};
@@ -0,0 +1,71 @@
+const RentInstallment = require('../models/RentInstallment');
+const notify = require('../utils/notify');
+const { rentReminder } = require('../utils/mail/templates');
+const { RENT_REMINDER_DAYS_BEFORE } = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Send one reminder of the given kind per installment
+const remind = async (installment, kind) => {
+  const claimed = await RentInstallment.claimReminder(installment._id, kind);
+  if (!claimed) return false;
+
+  await claimed.populate([
+    { path: 'user', select: 'name email' },
+    { path: 'pgListing', select: 'name' }
+  ]);
+  if (!claimed.user) return false;
+
+  const listingName = claimed.pgListing ? claimed.pgListing.name : 'your PG';
+  const mail = rentReminder(claimed.user, claimed, listingName, kind);
+
+  await notify(claimed.user, {
+    type: `rent.${kind}`,
+    title: mail.subject,
+    message: mail.message,
+    link: `/bookings/${claimed.booking}`,
+    data: {
+      booking: claimed.booking,
+      installment: claimed._id,
+      period: claimed.period,
+      outstanding: claimed.outstanding
+    },
+    mail
+  });
+  return true;
+};
+
+// Late fees first, then "due soon" and "overdue" reminders.
+// Returns how many notifications went out.
+const sendRentReminders = async (now = new Date()) => {
+  let sent = 0;
+
+  const charged = await RentInstallment.applyLateFees(now);
+  for (const installment of charged) {
+    if (await remind(installment, 'late-fee')) sent++;
+  }
+
+  const dueSoon = await RentInstallment.find({
+    ...RentInstallment.outstandingQuery(),
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + RENT_REMINDER_DAYS_BEFORE * DAY) },
+    'remindersSent.kind': { $ne: 'due-soon' }
+  });
+  for (const installment of dueSoon) {
+    if (await remind(installment, 'due-soon')) sent++;
+  }
+
+  const overdue = await RentInstallment.find({
+    ...RentInstallment.outstandingQuery(),
+    dueDate: { $lte: new Date(now.getTime() - DAY) },
+    'remindersSent.kind': { $ne: 'overdue' }
+  });
+  for (const installment of overdue) {
+    if (await remind(installment, 'overdue')) sent++;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendRentReminders
+};
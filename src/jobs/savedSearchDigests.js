@@ -0,0 +1,85 @@
+const SavedSearch = require('../models/SavedSearch');
+const PGListing = require('../models/PGListing');
+const notify = require('../utils/notify');
+const { savedSearchDigest } = require('../utils/mail/templates');
+
+// Listings shown in one digest; the rest are counted
+const DIGEST_LISTING_LIMIT = 10;
+const DIGEST_LISTING_FIELDS = 'name slug city locality price type images rating';
+
+// Re-run one saved search and mail the listings that started matching since
+// its last run. The run is claimed first, so two runners never send the same
+// digest. The new matches only count as seen once the notification exists;
+// a failure releases the claim so the next run sends them. Returns true when
+// a digest went out.
+const runDigest = async (search, now) => {
+  const claimed = await SavedSearch.findOneAndUpdate(
+    { _id: search._id, lastRunAt: search.lastRunAt },
+    { lastRunAt: now }
+  ).select('+matchedListings').populate('user', 'name email status');
+  if (!claimed) return false;
+
+  const releaseClaim = () => SavedSearch.updateOne(
+    { _id: search._id, lastRunAt: now },
+    { lastRunAt: search.lastRunAt }
+  );
+
+  try {
+    const matchIds = await claimed.findMatchIds();
+    const seen = new Set((claimed.matchedListings || []).map(id => id.toString()));
+    const freshIds = matchIds.filter(id => !seen.has(id.toString()));
+
+    // A search that never ran has nothing to compare with; this run is its baseline
+    if (!search.lastRunAt || freshIds.length === 0 || !claimed.user) {
+      await SavedSearch.updateOne({ _id: claimed._id }, { matchedListings: matchIds });
+      return false;
+    }
+
+    const listings = await PGListing.find({ _id: { $in: freshIds } })
+      .select(DIGEST_LISTING_FIELDS)
+      .sort({ featured: -1, rating: -1 })
+      .limit(DIGEST_LISTING_LIMIT);
+
+    const mail = savedSearchDigest(claimed.user, claimed, listings, freshIds.length);
+    await notify(claimed.user, {
+      type: 'saved-search.digest',
+      title: mail.subject,
+      message: mail.message,
+      link: `/saved-searches/${claimed._id}`,
+      data: {
+        savedSearch: claimed._id,
+        listings: freshIds.slice(0, DIGEST_LISTING_LIMIT),
+        total: freshIds.length
+      },
+      mail
+    });
+
+    await SavedSearch.updateOne({ _id: claimed._id }, { matchedListings: matchIds, lastNotifiedAt: now });
+    return true;
+  } catch (error) {
+    await releaseClaim();
+    throw error;
+  }
+};
+
+// Digests for every subscribed search that is due. A failing search is
+// logged and stays due, so the next hourly run retries it. Returns how many
+// digests went out.
+const sendSavedSearchDigests = async (now = new Date()) => {
+  const due = await SavedSearch.find(SavedSearch.dueQuery(now)).select('_id lastRunAt');
+  let sent = 0;
+
+  for (const search of due) {
+    try {
+      if (await runDigest(search, now)) sent++;
+    } catch (error) {
+      console.error(`❌ Saved search digest ${search._id} failed:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendSavedSearchDigests
+};
@@ -0,0 +1,175 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AdminUser = require('../models/AdminUser');
+const PGListing = require('../models/PGListing');
+const { hasPermission } = require('../config/constants');
+
+// Resolve the user and live session behind a Bearer token.
+// Returns { user, session } or { status, message } describing the failure.
+const authenticate = async (req) => {
+  let token;
+
+  // 1️⃣ Check Authorization header
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    token = req.headers.authorization.split(' ')[1]; // Bearer <token>
+  }
+
+  if (!token) {
+    return { status: 401, message: 'Not authorized, no token' };
+  }
+
+  try {
+    // 2️⃣ Verify token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    // 3️⃣ Get user from DB
+    // ⚠️ Make sure JWT payload has "id" field or "userId"
+    const userId = decoded.id || decoded.userId;
+    const user = await User.findById(userId).select('-password');
+
+    if (!user) {
+      return { status: 401, message: 'User not found' };
+    }
+
+    // 4️⃣ Token must belong to a live session
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive || session.user.toString() !== user._id.toString()) {
+      return { status: 401, message: 'Session expired or revoked' };
+    }
+
+    // 5️⃣ Suspended or inactive accounts lose access immediately
+    if (!user.isActive) {
+      return { status: 403, message: `Account is ${user.status}` };
+    }
+
+    return { user, session };
+
+  } catch (error) {
+    console.error('Protect middleware error:', error.message);
+    return { status: 401, message: 'Not authorized, token failed' };
+  }
+};
+
+const protect = async (req, res, next) => {
+  const { user, session, status, message } = await authenticate(req);
+
+  if (!user) {
+    return res.status(status).json({ message });
+  }
+
+  // 6️⃣ Attach user and session to request
+  req.user = user;
+  req.sessionId = session._id;
+  next();
+};
+
+// ✅ Attach the user when a valid token is sent; anonymous requests pass through
+const optionalAuth = async (req, res, next) => {
+  const { user, session } = await authenticate(req);
+
+  if (user) {
+    req.user = user;
+    req.sessionId = session._id;
+  }
+  next();
+};
+
+// Look up (once per request) the admin portal role of the current user
+const loadAdminRole = async (req) => {
+  if (req.adminRole === undefined) {
+    req.adminRole = await AdminUser.resolveRole(req.user);
+  }
+  return req.adminRole;
+};
+
+// ✅ Admin only (any active portal role)
+const adminOnly = async (req, res, next) => {
+  try {
+    if (req.user && await loadAdminRole(req)) {
+      next();
+    } else {
+      res.status(403).json({ error: 'Admin access required' });
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ✅ Requires every listed permission, e.g. requirePermission('listing:publish')
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Not authorized, no token' });
+      }
+
+      const role = await loadAdminRole(req);
+      if (!role) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      const missing = permissions.filter(permission => !hasPermission(role, permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: `Missing permission: ${missing.join(', ')}`,
+          role
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// ✅ Listing owner, or staff holding the given permission.
+// Loads the listing from req.params.id into req.listing.
+const requireListingAccess = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const listing = await PGListing.findById(req.params.id);
+      if (!listing) {
+        return res.status(404).json({ success: false, message: 'PG listing not found' });
+      }
+
+      const isOwner = listing.owner && listing.owner.toString() === req.user._id.toString();
+      const role = isOwner ? null : await loadAdminRole(req);
+
+      if (!isOwner && !hasPermission(role, permission)) {
+        return res.status(403).json({ error: 'Not authorized to manage this listing' });
+      }
+
+      req.listing = listing;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({ success: false, message: 'Invalid listing ID' });
+      }
+      next(error);
+    }
+  };
+};
+
+// ✅ Owner or Admin
+const owner = (req, res, next) => {
+  if (req.user && ['owner', 'admin'].includes(req.user.role)) {
+    next();
+  } else {
+    res.status(403).json({ error: 'Owner access required' });
+  }
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  loadAdminRole,
+  adminOnly,
+  requirePermission,
+  requireListingAccess,
+  owner
+};
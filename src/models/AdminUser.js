@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 
+// Admin portal staff profile. Credentials live on the linked User
+// (role 'admin'); this document carries the portal role used for RBAC.
 const adminUserSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
   username: {
     type: String,
     required: true,
@@ -17,8 +25,7 @@ const adminUserSchema = new mongoose.Schema({
     lowercase: true
   },
   passwordHash: {
-    type: String,
-    required: true
+    type: String
   },
   name: {
     type: String,
@@ -45,9 +52,33 @@ const adminUserSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Resolve the portal role of a User. Admins without a staff profile
+// (created before roles existed) keep full 'admin' rights.
+adminUserSchema.statics.resolveRole = async function(user) {
+  if (!user || user.role !== 'admin') {
+    return null;
+  }
+
+  const profile = await this.findOne({ user: user._id });
+  if (!profile) {
+    return 'admin';
+  }
+
+  return profile.isActive ? profile.role : null;
+};
+
+// The portal role a User holds, counting deactivated profiles, which can be
+// switched back on. Used to protect staff accounts from junior staff.
+adminUserSchema.statics.staffRole = async function(user) {
+  if (!user || user.role !== 'admin') {
+    return null;
+  }
+
+  const profile = await this.findOne({ user: user._id }).select('role');
+  return profile ? profile.role : 'admin';
+};
+
 // Add indexes for faster queries
-adminUserSchema.index({ username: 1 });
-adminUserSchema.index({ email: 1 });
 adminUserSchema.index({ role: 1 });
 adminUserSchema.index({ isActive: 1 });
 
@@ -1,22 +1,482 @@
-const protect = async (req, res, next) => {
-  let token;
+const mongoose = require('mongoose');
+const RentInstallment = require('./RentInstallment');
+const { alertSnapshot, sendListingAlerts } = require('../utils/listingAlerts');
+const { closeUnstartedBooking } = require('../utils/cancellation');
+const { addMonths } = require('../utils/dates');
+const { BOOKING_HOLD_MINUTES, BED_HANDOVER_DAYS } = require('../config/constants');
 
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    try {
-      token = req.headers.authorization.split(' ')[1]; // Bearer <token>
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+// Allowed status changes. Anything not listed here is rejected.
+//   pending  → approved | rejected | cancelled | expired
+//   approved → active | cancelled
+//   active   → completed | cancelled
+// completed, cancelled, rejected and expired are terminal.
+const BOOKING_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled', 'expired'],
+  approved: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  rejected: [],
+  expired: []
+};
+
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+// Statuses in which the booking no longer holds its bed
+const CLOSED_STATUSES = ['completed', 'cancelled', 'rejected', 'expired'];
+
+// Statuses proving the tenant actually stayed (or is staying) at the PG
+const STAY_STATUSES = ['active', 'completed'];
+
+// Error carrying the HTTP status the route should answer with
+const reservationError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Bookings starting before this time may take a bed as soon as it is free
+const handoverCutoff = (now = new Date()) => new Date(now.getTime() + BED_HANDOVER_DAYS * 24 * 60 * 60 * 1000);
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...BOOKING_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    default: ''
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// How a cancellation was settled (see utils/cancellation)
+const cancellationSchema = new mongoose.Schema({
+  initiatedBy: {
+    type: String,
+    enum: ['tenant', 'owner', 'admin'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  cancelledAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Rent is charged up to this date (end of the notice period)
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  policy: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  breakdown: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
 
-      req.user = await User.findById(decoded.id).select('-password');
-      next();
+const bookingSchema = new mongoose.Schema({
+  // Tenant & Listing
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tenant is required']
+  },
+  pgListing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PGListing',
+    required: [true, 'PG listing is required']
+  },
+  roomType: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Reserved room/bed (subdocuments of PGListing.rooms)
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  bed: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Stay Details
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  duration: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least 1 month']
+  },
+  endDate: {
+    type: Date
+  },
+
+  // Amounts
+  monthlyRent: {
+    type: Number,
+    min: [0, 'Rent cannot be negative'],
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total amount cannot be negative']
+  },
+  deposit: {
+    type: Number,
+    min: [0, 'Deposit cannot be negative'],
+    default: 0
+  },
+
+  specialRequests: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [statusHistorySchema],
+
+  // Pending bookings hold their bed only until this time
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  cancellation: {
+    type: cancellationSchema,
+    default: null
+  }
+}, {
+  timestamps: true,
+  // Concurrent status changes (e.g. approve vs. hold expiry) must not overwrite each other
+  optimisticConcurrency: true
+});
+
+// Derive end date from start date + duration (in months)
+bookingSchema.pre('validate', function(next) {
+  if (this.startDate && this.duration && (this.isModified('startDate') || this.isModified('duration') || !this.endDate)) {
+    this.endDate = addMonths(this.startDate, Number(this.duration));
+  }
+  next();
+});
+
+// Record the initial status for new bookings
+bookingSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.user,
+      actorRole: 'user'
+    });
+  }
+  next();
+});
+
+// Remember whether this save closes the booking, so the bed can be freed,
+// or moves the tenant in, so the bed is marked theirs
+bookingSchema.pre('save', function(next) {
+  const statusChanged = Boolean(this.bed) && this.isModified('status');
+  this.$locals.releaseBed = statusChanged && CLOSED_STATUSES.includes(this.status);
+  this.$locals.claimBed = statusChanged && this.status === 'active';
+  next();
+});
+
+// Moving in needs the booked bed to still be there for the tenant. Owners
+// cannot remove or hand out a bed a live booking holds, so this only trips
+// on beds changed outside the API; refuse rather than double book.
+bookingSchema.pre('save', async function() {
+  if (!this.$locals.claimBed) return;
+
+  const listing = await mongoose.model('PGListing').findById(this.pgListing).select('rooms');
+  const bed = listing && listing.findBed(this.bed);
+
+  if (!bed) {
+    throw reservationError('The booked bed no longer exists; move the booking to another bed first', 409);
+  }
+  if (bed.occupied && !bed.booking) {
+    throw reservationError('The booked bed is marked occupied by another tenant; free it before move-in', 409);
+  }
+});
+
+// Remember whether this save starts or ends the stay, for the rent schedule
+bookingSchema.pre('save', function(next) {
+  const statusChanged = this.isModified('status');
+  this.$locals.startRent = statusChanged && this.status === 'active';
+  this.$locals.stopRent = statusChanged && CLOSED_STATUSES.includes(this.status);
+  next();
+});
+
+bookingSchema.post('save', async function() {
+  if (this.$locals.startRent) {
+    await RentInstallment.generateForBooking(this);
+  } else if (this.$locals.stopRent) {
+    const rentEndsAt = this.cancellation ? this.cancellation.effectiveDate : new Date();
+    await RentInstallment.closeForBooking(this._id, rentEndsAt);
+  }
+});
+
+// Moving in verifies a review the tenant already left for the PG
+bookingSchema.post('save', async function() {
+  if (!this.$locals.startRent) return;
+
+  await mongoose.model('Review').findOneAndUpdate(
+    { user: this.user, pgListing: this.pgListing, verifiedStay: false },
+    { verifiedStay: true, booking: this._id }
+  );
+});
+
+bookingSchema.post('save', async function() {
+  if (!this.$locals.releaseBed) return;
+
+  const listing = await mongoose.model('PGListing').findById(this.pgListing);
+  if (!listing) return;
+
+  // Hand the bed to the next booking waiting for it, if that one starts
+  // soon; a booking months away gets it when the tenant moves in
+  const next = await this.constructor
+    .findOne({
+      ...this.constructor.liveQuery(),
+      bed: this.bed,
+      _id: { $ne: this._id },
+      startDate: { $lte: handoverCutoff() }
+    })
+    .sort({ startDate: 1 });
+
+  const before = alertSnapshot(listing);
+  if (listing.releaseBookingBed(this._id, next ? next._id : null)) {
+    await listing.save({ validateModifiedOnly: true });
+    // A freed bed can turn a full listing available
+    await sendListingAlerts(before, listing);
+  }
+});
+
+// Moving in marks the bed occupied if it was left vacant for this booking
+bookingSchema.post('save', async function() {
+  if (!this.$locals.claimBed) return;
+
+  const listing = await mongoose.model('PGListing').findById(this.pgListing);
+  if (!listing) return;
+
+  const bed = listing.findBed(this.bed);
+  if (bed && !bed.occupied) {
+    listing.occupyBed(bed, this._id);
+    await listing.save({ validateModifiedOnly: true });
+  }
+});
+
+// Check whether the booking may move to the given status
+bookingSchema.methods.canTransitionTo = function(nextStatus) {
+  const allowed = BOOKING_TRANSITIONS[this.status] || [];
+  return allowed.includes(nextStatus);
+};
+
+// Move the booking to a new status, recording who did it.
+// Throws if the transition is not allowed; the caller saves the document.
+bookingSchema.methods.transitionTo = function(nextStatus, actor, note = '') {
+  if (!BOOKING_STATUSES.includes(nextStatus)) {
+    throw new Error(`Invalid booking status '${nextStatus}'. Must be one of: ${BOOKING_STATUSES.join(', ')}`);
+  }
+
+  if (!this.canTransitionTo(nextStatus)) {
+    throw new Error(`Cannot change booking status from '${this.status}' to '${nextStatus}'`);
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: nextStatus,
+    changedBy: actor ? actor._id : undefined,
+    actorRole: actor ? actor.role : 'system',
+    note
+  });
+  this.status = nextStatus;
+
+  // Leaving 'pending' confirms (or ends) the hold
+  this.holdExpiresAt = null;
+
+  return this;
+};
+
+// Bookings that still claim their bed: confirmed ones and unexpired holds
+bookingSchema.statics.liveQuery = function(now = new Date()) {
+  return {
+    $or: [
+      { status: { $in: ['approved', 'active'] } },
+      { status: 'pending', holdExpiresAt: null },
+      { status: 'pending', holdExpiresAt: { $gt: now } }
+    ]
+  };
+};
+
+// The user's latest active or completed stay at a listing, if any
+bookingSchema.statics.findStay = function(userId, pgListingId) {
+  return this.findOne({
+    user: userId,
+    pgListing: pgListingId,
+    status: { $in: STAY_STATUSES }
+  }).sort({ startDate: -1 });
+};
+
+// Reserve a bed and create a pending booking in one transaction.
+//
+// Two requests racing for the same bed both write the listing document
+// (the bed assignment plus a version bump), so MongoDB aborts one with a
+// write conflict; withTransaction retries it, and the retry sees the
+// winner's booking as an overlap.
+bookingSchema.statics.reserve = async function({ pgId, user, roomId, bedId, roomType, startDate, duration, specialRequests }) {
+  const PGListing = mongoose.model('PGListing');
+  const session = await mongoose.startSession();
+
+  try {
+    let booking;
+
+    await session.withTransaction(async () => {
+      const pg = await PGListing.findById(pgId).session(session);
+      if (!pg) {
+        throw reservationError('PG not found', 404);
+      }
+
+      if (pg.availability === 'full' && pg.rooms.length === 0) {
+        throw reservationError('PG is currently full', 400);
+      }
+
+      const start = new Date(startDate);
+      const end = addMonths(start, duration);
+
+      // Listings with bed inventory: pick the first bed free for these dates
+      let room = null;
+      let bed = null;
+      if (pg.rooms.length > 0) {
+        for (const candidate of pg.bookableBeds({ roomId, bedId, sharingType: roomType })) {
+          const overlapping = await this.exists({
+            ...this.liveQuery(),
+            bed: candidate.bed._id,
+            startDate: { $lt: end },
+            endDate: { $gt: start }
+          }).session(session);
+
+          if (!overlapping) {
+            ({ room, bed } = candidate);
+            break;
+          }
+        }
+
+        if (!bed) {
+          throw reservationError('No bed is available for the requested dates', 409);
+        }
+      }
+
+      // Calculate total amount
+      const monthlyRent = room ? room.price : pg.price;
+      const totalAmount = monthlyRent * duration;
+      const deposit = pg.deposit || Math.floor(totalAmount * 0.2); // 20% deposit
+
+      booking = new this({
+        user: user._id,
+        pgListing: pg._id,
+        roomType: room ? room.sharingType : roomType,
+        room: room ? room._id : null,
+        bed: bed ? bed._id : null,
+        startDate: start,
+        duration,
+        monthlyRent,
+        totalAmount,
+        deposit,
+        specialRequests,
+        status: 'pending',
+        holdExpiresAt: new Date(Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000)
+      });
+
+      if (bed) {
+        // Only a stay starting soon shows the bed occupied; a later one
+        // claims it on move-in (or when the bed is freed close to its start)
+        if (!bed.occupied && start <= handoverCutoff()) {
+          pg.occupyBed(bed, booking._id);
+        }
+        pg.increment();
+        await pg.save({ session, validateModifiedOnly: true });
+      }
+
+      await booking.save({ session });
+    });
+
+    return booking;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Expire pending bookings whose hold window has passed; frees their beds and
+// refunds anything paid towards them
+bookingSchema.statics.expireHolds = async function(now = new Date()) {
+  const stale = await this.find({ status: 'pending', holdExpiresAt: { $ne: null, $lte: now } });
+  let expired = 0;
+
+  for (const booking of stale) {
+    try {
+      await closeUnstartedBooking(booking, 'expired', null, 'Hold expired before confirmation');
+      expired++;
     } catch (error) {
-      res.status(401).json({ message: 'Not authorized, token failed' });
+      // Confirmed or cancelled meanwhile: nothing to do
+      if (error.name !== 'VersionError') {
+        console.error(`❌ Failed to expire booking ${booking._id}:`, error.message);
+      }
     }
   }
 
-  if (!token) {
-    res.status(401).json({ message: 'Not authorized, no token' });
-  }
-};
\ No newline at end of file
+  return expired;
+};
+
+bookingSchema.statics.TRANSITIONS = BOOKING_TRANSITIONS;
+bookingSchema.statics.STATUSES = BOOKING_STATUSES;
+bookingSchema.statics.CLOSED_STATUSES = CLOSED_STATUSES;
+bookingSchema.statics.STAY_STATUSES = STAY_STATUSES;
+
+// Indexes for faster queries
+bookingSchema.index({ user: 1, createdAt: -1 });
+bookingSchema.index({ pgListing: 1, status: 1 });
+bookingSchema.index({ status: 1 });
+bookingSchema.index({ bed: 1, startDate: 1, endDate: 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers). Incremented atomically, so two
+// concurrent callers never get the same value.
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Next value of the sequence, starting at 1. Pass a session to take the
+// number inside a transaction, so an abort hands it back.
+counterSchema.statics.next = async function(key, { session = null } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
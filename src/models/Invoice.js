@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// invoice: tax invoice (or bill of supply) for rent
+// receipt: acknowledgement of money received (rent or deposit)
+const INVOICE_KINDS = ['invoice', 'receipt'];
+
+const partySchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  address: { type: String, default: '' },
+  state: { type: String, default: '' },
+  stateCode: { type: String, default: '' },
+  pan: { type: String, default: '' },
+  gstin: { type: String, default: '' },
+  email: { type: String, default: '' },
+  phone: { type: String, default: '' }
+}, { _id: false });
+
+const lineItemSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  sac: { type: String, default: '' },
+  quantity: { type: Number, default: 1 },
+  rate: { type: Number, required: true },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+// An issued invoice or receipt. Everything printed is snapshotted at issue
+// time, so later edits to the owner's billing details or the listing never
+// change a document that was already handed out.
+const invoiceSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: INVOICE_KINDS,
+    required: true
+  },
+  // e.g. INV/2026-27/0001, sequential per owner, kind and financial year
+  number: {
+    type: String,
+    required: true
+  },
+  fy: {
+    type: String,
+    required: true
+  },
+  issueDate: {
+    type: Date,
+    required: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pgListing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PGListing',
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  property: {
+    name: { type: String, default: '' },
+    address: { type: String, default: '' }
+  },
+  placeOfSupply: {
+    type: String,
+    default: ''
+  },
+  period: {
+    type: String,
+    default: null
+  },
+
+  lineItems: [lineItemSchema],
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Rupees, two decimals. Rent is tax-inclusive: total is what was paid.
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  gst: {
+    rate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  amountInWords: {
+    type: String,
+    default: ''
+  },
+
+  paymentReference: {
+    kind: { type: String, default: '' },
+    gateway: { type: String, default: null },
+    gatewayPaymentId: { type: String, default: null },
+    paidAt: { type: Date, default: null }
+  },
+  // The invoice a rent receipt acknowledges payment of
+  invoiceNumber: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.statics.KINDS = INVOICE_KINDS;
+
+// One document of each kind per payment; numbers never repeat for an owner
+invoiceSchema.index({ payment: 1, kind: 1 }, { unique: true });
+invoiceSchema.index({ owner: 1, kind: 1, number: 1 }, { unique: true });
+invoiceSchema.index({ booking: 1, issueDate: 1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
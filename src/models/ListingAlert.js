@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+//   price-drop     the listing's price-from went down
+//   vacancy        the listing went from full to available
+//   new-room-type  the listing started offering a new sharing type
+const ALERT_KINDS = ['price-drop', 'vacancy', 'new-room-type'];
+const ALERT_DELIVERIES = ['instant', 'daily'];
+
+// A change to a wishlisted listing that a user opted in to hear about.
+// Instant alerts are delivered right away; daily ones wait for the digest.
+const listingAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pgListing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PGListing',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ALERT_KINDS,
+    required: true
+  },
+  // e.g. { from: 8000, to: 7500 } or { roomTypes: ['Double'] }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Same user, listing, kind, value and day: alerted once
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  delivery: {
+    type: String,
+    enum: ALERT_DELIVERIES,
+    default: 'instant'
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Store the alert unless the user already got the same one today.
+// Returns null for duplicates.
+listingAlertSchema.statics.record = async function({ user, pgListing, kind, value = '', details, delivery, now = new Date() }) {
+  const day = now.toISOString().slice(0, 10);
+
+  try {
+    return await this.create({
+      user,
+      pgListing,
+      kind,
+      details,
+      delivery,
+      dedupeKey: `${pgListing}:${kind}:${value}:${day}`
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+listingAlertSchema.statics.KINDS = ALERT_KINDS;
+listingAlertSchema.statics.DELIVERIES = ALERT_DELIVERIES;
+
+listingAlertSchema.index({ user: 1, dedupeKey: 1 }, { unique: true });
+listingAlertSchema.index({ delivery: 1, deliveredAt: 1, user: 1 });
+
+const ListingAlert = mongoose.model('ListingAlert', listingAlertSchema);
+
+module.exports = ListingAlert;
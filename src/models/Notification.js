@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// In-app notification; notify() also mails it to the user
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // e.g. 'rent.due-soon', 'rent.overdue'
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  // Where the client should take the user, e.g. /bookings/<id>
+  link: {
+    type: String,
+    default: ''
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  emailedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
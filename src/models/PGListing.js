@@ -1,4 +1,106 @@
 const mongoose = require('mongoose');
+const { CANCELLATION_PRESETS, DEFAULT_CANCELLATION_PRESET } = require('../config/cancellationPolicies');
+const { REVIEW_CATEGORIES } = require('../config/constants');
+const { invalidateSuggestIndex } = require('../utils/suggestIndex');
+
+// Beds per room for each sharing type
+const SHARING_BEDS = {
+  single: 1,
+  double: 2,
+  triple: 3
+};
+
+const bedSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  occupied: {
+    type: Boolean,
+    default: false
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  occupiedSince: {
+    type: Date,
+    default: null
+  }
+});
+
+const roomSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: [true, 'Room number is required'],
+    trim: true
+  },
+  floor: {
+    type: Number,
+    default: 0
+  },
+  sharingType: {
+    type: String,
+    enum: Object.keys(SHARING_BEDS),
+    required: [true, 'Sharing type is required']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Room price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  beds: [bedSchema]
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+roomSchema.virtual('bedCount').get(function() {
+  return this.beds.length;
+});
+
+roomSchema.virtual('vacantBeds').get(function() {
+  return this.beds.filter(bed => !bed.occupied).length;
+});
+
+// A preset plus optional per-rule overrides (see config/cancellationPolicies)
+const cancellationPolicySchema = new mongoose.Schema({
+  preset: {
+    type: String,
+    enum: Object.keys(CANCELLATION_PRESETS),
+    default: DEFAULT_CANCELLATION_PRESET
+  },
+  fullRefundDaysBeforeMoveIn: {
+    type: Number,
+    min: 0
+  },
+  lateCancellationRefundPercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  forfeitDepositAfterMoveIn: {
+    type: Boolean
+  },
+  noticePeriodDays: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Per-category review averages, kept up to date by the Review hooks
+const subRatingsSchema = new mongoose.Schema(
+  REVIEW_CATEGORIES.reduce((fields, category) => {
+    fields[category] = {
+      average: { type: Number, default: 0, min: 0, max: 5 },
+      count: { type: Number, default: 0 }
+    };
+    return fields;
+  }, {}),
+  { _id: false }
+);
 
 const PGListingSchema = new mongoose.Schema({
   // Basic Information
@@ -83,12 +185,41 @@ const PGListingSchema = new mongoose.Schema({
     type: String,
     default: 'available'
   },
+
+  // Room & Bed Inventory (drives availability, roomTypes and price-from)
+  rooms: [roomSchema],
+  totalBeds: {
+    type: Number,
+    default: 0
+  },
+  vacantBeds: {
+    type: Number,
+    default: 0
+  },
+  
+  cancellationPolicy: {
+    type: cancellationPolicySchema,
+    default: () => ({})
+  },
+  // 'verified-only' accepts reviews only from tenants with an active or
+  // completed booking here
+  reviewPolicy: {
+    type: String,
+    enum: ['open', 'verified-only'],
+    default: 'open'
+  },
   
   // Status Flags
   published: {
     type: Boolean,
     default: true
   },
+  // Set when user reports took the listing offline; only staff can publish
+  // it again (which clears the hold)
+  reportHold: {
+    heldAt: { type: Date },
+    openReports: { type: Number }
+  },
   verified: {
     type: Boolean,
     default: false
@@ -109,8 +240,36 @@ const PGListingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Same figures over verified-stay reviews only
+  verifiedRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  verifiedReviewCount: {
+    type: Number,
+    default: 0
+  },
+  subRatings: {
+    type: subRatingsSchema,
+    default: () => ({})
+  },
   
   // Owner Information
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        const user = await mongoose.model('User').findById(value).select('role');
+        return Boolean(user) && user.role === 'owner';
+      },
+      message: 'Owner must be a user account with role owner'
+    }
+  },
   ownerName: {
     type: String,
     default: ''
@@ -123,6 +282,7 @@ const PGListingSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Legacy free-text owner reference, superseded by `owner`
   ownerId: {
     type: String,
     default: ''
@@ -165,6 +325,147 @@ PGListingSchema.pre('save', function(next) {
   next();
 });
 
+// Staff publishing a listing overrides a hold placed by user reports
+PGListingSchema.pre('save', function(next) {
+  if (this.isModified('published') && this.published && this.reportHold && this.reportHold.heldAt) {
+    this.reportHold = undefined;
+  }
+  next();
+});
+
+// Keep derived inventory fields in sync with the rooms
+PGListingSchema.pre('save', function(next) {
+  if (this.isModified('rooms')) {
+    this.refreshInventory();
+  }
+  next();
+});
+
+// Search suggestions are built from these fields. Only writes touching them
+// (or adding and removing listings) rebuild the index, so bed reservations,
+// inventory refreshes and the like leave it alone.
+const SUGGEST_FIELDS = ['name', 'slug', 'city', 'locality', 'published', 'featured', 'rating', 'reviewCount'];
+
+const isSuggestField = (path) => SUGGEST_FIELDS.some(field => path === field || path.startsWith(`${field}.`));
+
+// Paths an update writes, whether given as operators ($set, $unset, $inc...) or plain fields
+const updatedPaths = (update = {}) => Object.keys(update).flatMap(key =>
+  key.startsWith('$') ? Object.keys(update[key] || {}) : [key]
+);
+
+PGListingSchema.pre('save', function(next) {
+  this.$locals.suggestStale = this.isNew || SUGGEST_FIELDS.some(field => this.isModified(field));
+  next();
+});
+PGListingSchema.post('save', function() {
+  if (this.$locals.suggestStale) invalidateSuggestIndex();
+});
+PGListingSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  if (updatedPaths(this.getUpdate() || {}).some(isSuggestField)) invalidateSuggestIndex();
+});
+PGListingSchema.post('insertMany', () => invalidateSuggestIndex());
+PGListingSchema.post(['findOneAndDelete', 'deleteMany'], () => invalidateSuggestIndex());
+PGListingSchema.post('deleteOne', { document: true, query: true }, () => invalidateSuggestIndex());
+
+// Derive totals, availability, room types and price-from from the rooms.
+// Listings without rooms keep their manually managed values.
+PGListingSchema.methods.refreshInventory = function() {
+  if (this.rooms.length === 0) {
+    this.totalBeds = 0;
+    this.vacantBeds = 0;
+    return this;
+  }
+
+  const beds = this.rooms.reduce((all, room) => all.concat(room.beds), []);
+  const vacantRooms = this.rooms.filter(room => room.beds.some(bed => !bed.occupied));
+  const pricedRooms = vacantRooms.length > 0 ? vacantRooms : this.rooms;
+
+  this.totalBeds = beds.length;
+  this.vacantBeds = beds.filter(bed => !bed.occupied).length;
+  this.availability = this.vacantBeds > 0 ? 'available' : 'full';
+  this.price = Math.min(...pricedRooms.map(room => room.price));
+  this.roomTypes = Object.keys(SHARING_BEDS)
+    .filter(type => this.rooms.some(room => room.sharingType === type))
+    .map(type => type.charAt(0).toUpperCase() + type.slice(1));
+
+  return this;
+};
+
+// Fields refreshInventory derives from the rooms
+const INVENTORY_FIELDS = ['availability', 'price', 'roomTypes'];
+
+// Drop derived fields from an edit. Only listings without rooms manage them
+// by hand; on the rest an edit would contradict the beds.
+PGListingSchema.methods.withoutDerivedFields = function(fields) {
+  if (this.rooms.length === 0) return fields;
+
+  const editable = { ...fields };
+  INVENTORY_FIELDS.forEach(field => delete editable[field]);
+  return editable;
+};
+
+// Beds that could take a booking, optionally limited to a room, a bed or a
+// sharing type. Vacant beds come first; beds held by a current booking can
+// still take a later, non-overlapping one. Beds marked occupied without a
+// booking (offline tenants) are never offered.
+PGListingSchema.methods.bookableBeds = function({ roomId, bedId, sharingType } = {}) {
+  const candidates = [];
+
+  this.rooms
+    .filter(room => !roomId || room._id.toString() === roomId.toString())
+    .filter(room => !sharingType || room.sharingType === sharingType.toLowerCase())
+    .forEach(room => {
+      room.beds
+        .filter(bed => !bedId || bed._id.toString() === bedId.toString())
+        .filter(bed => !bed.occupied || bed.booking)
+        .forEach(bed => candidates.push({ room, bed }));
+    });
+
+  return candidates.sort((a, b) => Number(a.bed.occupied) - Number(b.bed.occupied));
+};
+
+// The bed subdocument with the given id, in whichever room it is
+PGListingSchema.methods.findBed = function(bedId) {
+  for (const room of this.rooms) {
+    const bed = room.beds.id(bedId);
+    if (bed) return bed;
+  }
+  return null;
+};
+
+// Give a vacant bed to a booking
+PGListingSchema.methods.occupyBed = function(bed, bookingId) {
+  bed.occupied = true;
+  bed.booking = bookingId;
+  bed.occupiedSince = new Date();
+  return bed;
+};
+
+// Free the bed held by a booking, handing it to the next booking if given
+PGListingSchema.methods.releaseBookingBed = function(bookingId, nextBookingId = null) {
+  for (const room of this.rooms) {
+    const bed = room.beds.find(b => b.booking && b.booking.toString() === bookingId.toString());
+    if (bed) {
+      bed.occupied = false;
+      bed.booking = null;
+      bed.occupiedSince = null;
+      if (nextBookingId) {
+        this.occupyBed(bed, nextBookingId);
+      }
+      return bed;
+    }
+  }
+  return null;
+};
+
+// Build bed subdocuments (A, B, C...) for a new room
+PGListingSchema.statics.buildBeds = function(sharingType, bedCount) {
+  const count = parseInt(bedCount) || SHARING_BEDS[sharingType] || 1;
+  return Array.from({ length: count }, (_, i) => ({ label: String.fromCharCode(65 + i) }));
+};
+
+PGListingSchema.statics.SHARING_BEDS = SHARING_BEDS;
+
 // Index for faster queries
 PGListingSchema.index({ name: 1 });
 PGListingSchema.index({ slug: 1 });
@@ -172,6 +473,8 @@ PGListingSchema.index({ city: 1 });
 PGListingSchema.index({ type: 1 });
 PGListingSchema.index({ price: 1 });
 PGListingSchema.index({ published: 1 });
+PGListingSchema.index({ owner: 1 });
+PGListingSchema.index({ availability: 1 });
 PGListingSchema.index({ location: '2dsphere' });
 PGListingSchema.index({ name: 'text', description: 'text', address: 'text', city: 'text' });
 
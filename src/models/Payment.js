@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+// Ledger entry kinds. Deposit and rent are money in from the tenant, refunds
+// are money out, adjustments are signed manual corrections (cash received,
+// waivers, damages).
+const PAYMENT_KINDS = ['deposit', 'rent', 'refund', 'adjustment'];
+
+//   pending → captured | failed
+// captured and failed are terminal.
+const PAYMENT_STATUSES = ['pending', 'captured', 'failed'];
+
+const paymentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tenant is required']
+  },
+  pgListing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PGListing',
+    required: [true, 'PG listing is required']
+  },
+
+  kind: {
+    type: String,
+    enum: PAYMENT_KINDS,
+    required: [true, 'Payment kind is required']
+  },
+  // Rupees. Only adjustments may be negative.
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: function(value) {
+        return this.kind === 'adjustment' ? value !== 0 : value > 0;
+      },
+      message: 'Amount must be positive (adjustments: non-zero)'
+    }
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Rent month this entry pays for, as YYYY-MM
+  period: {
+    type: String,
+    match: [/^\d{4}-\d{2}$/, 'Period must be YYYY-MM'],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+
+  // Gateway references
+  gateway: {
+    type: String,
+    default: null
+  },
+  gatewayOrderId: {
+    type: String,
+    default: null
+  },
+  gatewayPaymentId: {
+    type: String,
+    default: null
+  },
+  gatewayRefundId: {
+    type: String,
+    default: null
+  },
+  // Captured payment a refund is paid back against
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  capturedAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once the invoice/receipt a captured payment is owed exist
+  documentsIssuedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+// Settle a pending entry. Returns false (and changes nothing) when it was
+// already settled, so repeated gateway callbacks are harmless.
+paymentSchema.methods.markCaptured = function({ gatewayPaymentId } = {}) {
+  if (this.status !== 'pending') return false;
+
+  this.status = 'captured';
+  this.capturedAt = new Date();
+  if (gatewayPaymentId) this.gatewayPaymentId = gatewayPaymentId;
+  return true;
+};
+
+paymentSchema.methods.markFailed = function({ gatewayPaymentId, reason } = {}) {
+  if (this.status !== 'pending') return false;
+
+  this.status = 'failed';
+  this.failedAt = new Date();
+  this.failureReason = reason || 'Payment failed';
+  if (gatewayPaymentId) this.gatewayPaymentId = gatewayPaymentId;
+  return true;
+};
+
+// Captured totals for a booking, by kind. Late fees charged on the rent
+// schedule are owed on top of the booking's rent.
+paymentSchema.statics.summarize = function(entries, booking, { lateFees = 0 } = {}) {
+  const captured = entries.filter(entry => entry.status === 'captured');
+  const sum = (kind) => captured
+    .filter(entry => entry.kind === kind)
+    .reduce((total, entry) => total + entry.amount, 0);
+
+  const depositPaid = sum('deposit');
+  const rentPaid = sum('rent');
+  const refunded = sum('refund');
+  const adjustments = sum('adjustment');
+
+  return {
+    currency: 'INR',
+    depositDue: Math.max(booking.deposit - depositPaid, 0),
+    rentDue: Math.max(booking.totalAmount + lateFees - rentPaid - adjustments, 0),
+    depositPaid,
+    rentPaid,
+    refunded,
+    adjustments,
+    lateFees,
+    netPaid: depositPaid + rentPaid + adjustments - refunded,
+    pending: entries.filter(entry => entry.status === 'pending').length
+  };
+};
+
+paymentSchema.statics.ledgerFor = async function(booking) {
+  const [entries, installments] = await Promise.all([
+    this.find({ booking: booking._id }).sort({ createdAt: 1 }),
+    mongoose.model('RentInstallment').find({ booking: booking._id, lateFee: { $gt: 0 } }).select('lateFee')
+  ]);
+  const lateFees = installments.reduce((total, installment) => total + installment.lateFee, 0);
+
+  return { entries, summary: this.summarize(entries, booking, { lateFees }) };
+};
+
+paymentSchema.statics.KINDS = PAYMENT_KINDS;
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+paymentSchema.index({ booking: 1, createdAt: 1 });
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ gateway: 1, gatewayOrderId: 1 });
+paymentSchema.index({ gateway: 1, gatewayRefundId: 1 });
+paymentSchema.index({ status: 1, documentsIssuedAt: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
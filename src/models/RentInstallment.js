@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Payment = require('./Payment');
+const { addMonths } = require('../utils/dates');
+const { RENT_GRACE_DAYS, RENT_LATE_FEE_PERCENT } = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const reminderSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['due-soon', 'overdue', 'late-fee'],
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One month of rent in a booking's schedule. amountPaid is derived from the
+// payment ledger by syncBooking(); never set it by hand.
+const rentInstallmentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pgListing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PGListing',
+    required: true
+  },
+  // 1 for the first month of the stay
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  period: {
+    type: String,
+    match: [/^\d{4}-\d{2}$/, 'Period must be YYYY-MM'],
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  lateFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lateFeeAppliedAt: {
+    type: Date,
+    default: null
+  },
+  amountPaid: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  remindersSent: [reminderSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+rentInstallmentSchema.virtual('outstanding').get(function() {
+  return Math.max(this.amount + this.lateFee - this.amountPaid, 0);
+});
+
+// upcoming | due | partial | overdue | paid, as of now
+rentInstallmentSchema.virtual('status').get(function() {
+  if (this.outstanding === 0) return 'paid';
+  if (this.dueDate.getTime() + DAY <= Date.now()) return 'overdue';
+  if (this.amountPaid > 0) return 'partial';
+  return this.dueDate <= new Date() ? 'due' : 'upcoming';
+});
+
+const toPeriod = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Installments that still owe money
+rentInstallmentSchema.statics.outstandingQuery = function() {
+  return { $expr: { $gt: [{ $add: ['$amount', '$lateFee'] }, '$amountPaid'] } };
+};
+
+// Create the monthly schedule of a booking (idempotent). Month n is due on
+// the same day of the month as the start date, or the month's last day when
+// it is shorter.
+rentInstallmentSchema.statics.generateForBooking = async function(booking) {
+  const operations = [];
+
+  for (let sequence = 1; sequence <= booking.duration; sequence++) {
+    const dueDate = addMonths(booking.startDate, sequence - 1);
+
+    operations.push({
+      updateOne: {
+        filter: { booking: booking._id, sequence },
+        update: {
+          $setOnInsert: {
+            booking: booking._id,
+            user: booking.user,
+            pgListing: booking.pgListing,
+            sequence,
+            period: toPeriod(dueDate),
+            dueDate,
+            amount: booking.monthlyRent
+          }
+        },
+        upsert: true
+      }
+    });
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+  return this.syncBooking(booking._id);
+};
+
+// Drop the months starting on or after the day rent stops (a booking ended
+// early), then re-apply the ledger so money paid for them becomes credit
+rentInstallmentSchema.statics.closeForBooking = async function(bookingId, rentEndsAt = new Date()) {
+  const result = await this.deleteMany({ booking: bookingId, dueDate: { $gte: rentEndsAt } });
+  if (result.deletedCount > 0) {
+    await this.syncBooking(bookingId);
+  }
+  return result.deletedCount;
+};
+
+// Re-apply the booking's captured rent credit (rent payments and
+// adjustments, less refunds of rent) to its installments, oldest first.
+rentInstallmentSchema.statics.syncBooking = async function(bookingId) {
+  const [installments, entries] = await Promise.all([
+    this.find({ booking: bookingId }).sort({ sequence: 1 }),
+    Payment.find({ booking: bookingId, status: 'captured' })
+  ]);
+
+  const rentPaymentIds = new Set(entries.filter(entry => entry.kind === 'rent').map(entry => entry._id.toString()));
+  let credit = entries.reduce((total, entry) => {
+    if (entry.kind === 'rent' || entry.kind === 'adjustment') return total + entry.amount;
+    if (entry.kind === 'refund' && entry.refundOf && rentPaymentIds.has(entry.refundOf.toString())) return total - entry.amount;
+    return total;
+  }, 0);
+
+  for (const installment of installments) {
+    const owed = installment.amount + installment.lateFee;
+    const paid = Math.min(Math.max(credit, 0), owed);
+    credit -= paid;
+
+    if (installment.amountPaid !== paid) {
+      installment.amountPaid = paid;
+      installment.paidAt = paid >= owed ? new Date() : null;
+      await installment.save();
+    }
+  }
+
+  return installments;
+};
+
+// Charge the late fee on installments still unpaid after the grace period.
+// Returns the installments that were charged.
+rentInstallmentSchema.statics.applyLateFees = async function(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RENT_GRACE_DAYS * DAY);
+  const late = await this.find({
+    ...this.outstandingQuery(),
+    dueDate: { $lte: cutoff },
+    lateFeeAppliedAt: null
+  });
+
+  const charged = [];
+  for (const installment of late) {
+    const fee = Math.round(installment.amount * RENT_LATE_FEE_PERCENT / 100);
+
+    // Guarded update so overlapping runs cannot charge twice
+    const updated = await this.findOneAndUpdate(
+      { _id: installment._id, lateFeeAppliedAt: null },
+      { $set: { lateFee: fee, lateFeeAppliedAt: now } },
+      { new: true }
+    );
+    if (updated) charged.push(updated);
+  }
+
+  return charged;
+};
+
+// Record a reminder once; returns null if it was already sent
+rentInstallmentSchema.statics.claimReminder = function(installmentId, kind) {
+  return this.findOneAndUpdate(
+    { _id: installmentId, 'remindersSent.kind': { $ne: kind } },
+    { $push: { remindersSent: { kind, sentAt: new Date() } } },
+    { new: true }
+  );
+};
+
+rentInstallmentSchema.index({ booking: 1, sequence: 1 }, { unique: true });
+rentInstallmentSchema.index({ pgListing: 1, dueDate: 1 });
+rentInstallmentSchema.index({ user: 1, dueDate: 1 });
+rentInstallmentSchema.index({ dueDate: 1, lateFeeAppliedAt: 1 });
+
+const RentInstallment = mongoose.model('RentInstallment', rentInstallmentSchema);
+
+module.exports = RentInstallment;
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+const REPORT_REASONS = ['fake-listing', 'wrong-price', 'unsafe', 'already-full'];
+
+//   pending → reviewed (triaged, being looked into) → resolved
+// pending and reviewed reports are "open".
+const REPORT_STATUSES = ['pending', 'reviewed', 'resolved'];
+const OPEN_STATUSES = ['pending', 'reviewed'];
+
+//   dismiss    unfounded; the listing is left as it is
+//   republish  unfounded; publish the listing again if reports took it down
+//   unpublish  founded; the listing stays offline until staff publish it again
+const RESOLUTION_ACTIONS = ['dismiss', 'republish', 'unpublish'];
+
 const reportSchema = new mongoose.Schema(
   {
     pgListing: {
@@ -14,21 +26,103 @@ const reportSchema = new mongoose.Schema(
     },
     reason: {
       type: String,
+      enum: {
+        values: REPORT_REASONS,
+        message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      },
       required: true
     },
     description: {
-      type: String
+      type: String,
+      trim: true,
+      maxlength: 1000
     },
     contactInfo: {
-      type: String
+      type: String,
+      trim: true,
+      maxlength: 200
     },
     status: {
       type: String,
-      enum: ['pending', 'reviewed', 'resolved'],
+      enum: REPORT_STATUSES,
       default: 'pending'
+    },
+
+    // Triage
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    assignedAt: {
+      type: Date,
+      default: null
+    },
+    notes: [{
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    resolution: {
+      action: {
+        type: String,
+        enum: [...RESOLUTION_ACTIONS, null],
+        default: null
+      },
+      note: {
+        type: String,
+        trim: true,
+        default: ''
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      resolvedAt: {
+        type: Date,
+        default: null
+      }
     }
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model('Report', reportSchema);
\ No newline at end of file
+// Close the report with a resolution action
+reportSchema.methods.resolve = function(action, { note = '', by }) {
+  this.status = 'resolved';
+  this.resolution = { action, note, resolvedBy: by, resolvedAt: new Date() };
+};
+
+// Number of different users with an open report against the listing
+reportSchema.statics.openReporterCount = async function(pgListingId) {
+  const reporters = await this.distinct('reportedBy', {
+    pgListing: pgListingId,
+    status: { $in: OPEN_STATUSES }
+  });
+  return reporters.length;
+};
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+reportSchema.statics.STATUSES = REPORT_STATUSES;
+reportSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+reportSchema.statics.RESOLUTION_ACTIONS = RESOLUTION_ACTIONS;
+
+reportSchema.index({ pgListing: 1, status: 1 });
+reportSchema.index({ reportedBy: 1, pgListing: 1 });
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
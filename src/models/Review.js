@@ -1,4 +1,94 @@
 const mongoose = require('mongoose');
+const { REVIEW_CATEGORIES } = require('../config/constants');
+const { screenReview } = require('../utils/reviewFilter');
+
+//   approved: public
+//   pending:  held by the content filter until a moderator decides
+//   rejected: hidden; the author may appeal once
+const REVIEW_STATUSES = ['approved', 'pending', 'rejected'];
+
+const flagSchema = new mongoose.Schema({
+  rule: { type: String, required: true },
+  field: { type: String, required: true },
+  match: { type: String, default: '' }
+}, { _id: false });
+
+const moderationEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['held', 'approved', 'rejected', 'redacted', 'appealed'],
+    required: true
+  },
+  reason: { type: String, default: '' },
+  // null for the automatic filter
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const appealSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  submittedAt: { type: Date, default: Date.now },
+  //   pending → upheld (stays rejected) | overturned (approved)
+  status: {
+    type: String,
+    enum: ['pending', 'upheld', 'overturned'],
+    default: 'pending'
+  },
+  resolvedAt: { type: Date, default: null }
+}, { _id: false });
+
+// { food: 4, safety: 5, ... }; every category is optional
+const subRatingsSchema = new mongoose.Schema(
+  REVIEW_CATEGORIES.reduce((fields, category) => {
+    fields[category] = { type: Number, min: 1, max: 5 };
+    return fields;
+  }, {}),
+  { _id: false }
+);
+
+// z for a 95% confidence interval
+const WILSON_Z = 1.96;
+
+// Lower bound of the Wilson score interval for the share of "helpful" votes,
+// as an aggregation expression over the vote counters: a review with 40 of
+// 50 helpful ranks above one with 2 of 2.
+const wilsonExpression = () => {
+  const z2 = WILSON_Z * WILSON_Z;
+  const n = { $add: ['$likes', '$notHelpful'] };
+  const p = { $divide: ['$likes', n] };
+
+  return {
+    $cond: [
+      { $lte: [n, 0] },
+      0,
+      {
+        $divide: [
+          {
+            $subtract: [
+              { $add: [p, { $divide: [z2 / 2, n] }] },
+              {
+                $multiply: [WILSON_Z, {
+                  $sqrt: {
+                    $divide: [
+                      { $add: [{ $multiply: [p, { $subtract: [1, p] }] }, { $divide: [z2 / 4, n] }] },
+                      n
+                    ]
+                  }
+                }]
+              }
+            ]
+          },
+          { $add: [1, { $divide: [z2, n] }] }
+        ]
+      }
+    ]
+  };
+};
 
 const reviewSchema = new mongoose.Schema({
   user: {
@@ -17,6 +107,10 @@ const reviewSchema = new mongoose.Schema({
     min: 1,
     max: 5
   },
+  subRatings: {
+    type: subRatingsSchema,
+    default: () => ({})
+  },
   title: {
     type: String,
     required: true,
@@ -29,10 +123,56 @@ const reviewSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000
   },
+  // The author had an active or completed booking at the PG
+  verifiedStay: {
+    type: Boolean,
+    default: false
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  // Helpfulness votes. Each user either likes a review, marks it not
+  // helpful, or neither; the counters mirror the arrays (plus likes given
+  // before votes were tracked per user).
   likes: {
     type: Number,
     default: 0
   },
+  notHelpful: {
+    type: Number,
+    default: 0
+  },
+  likedBy: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
+  },
+  notHelpfulBy: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
+  },
+  helpfulScore: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'approved'
+  },
+  // What the filter found the last time the text was screened
+  flags: [flagSchema],
+  moderation: {
+    reason: { type: String, default: '' },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    moderatedAt: { type: Date, default: null },
+    history: [moderationEventSchema]
+  },
+  appeal: {
+    type: appealSchema,
+    default: null
+  },
   replies: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -59,12 +199,113 @@ reviewSchema.index({ user: 1, pgListing: 1 }, { unique: true });
 // Index for sorting and filtering
 reviewSchema.index({ pgListing: 1, rating: -1, createdAt: -1 });
 reviewSchema.index({ user: 1, createdAt: -1 });
+reviewSchema.index({ pgListing: 1, helpfulScore: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+reviewSchema.index({ 'appeal.status': 1 });
+
+// Reviews shown publicly and counted in ratings (reviews written before
+// moderation have no status)
+reviewSchema.statics.visibleQuery = function() {
+  return { status: { $nin: ['pending', 'rejected'] } };
+};
+
+// Run the content filter over the text. A flagged review is held for a
+// moderator; a held review whose author fixed it goes live again.
+reviewSchema.methods.screen = function() {
+  const flags = screenReview({ title: this.title, comment: this.comment });
+  this.flags = flags;
+
+  if (flags.length > 0 && this.status !== 'pending') {
+    this.status = 'pending';
+    this.moderation.history.push({
+      action: 'held',
+      reason: `Flagged: ${[...new Set(flags.map(flag => flag.rule))].join(', ')}`
+    });
+  } else if (flags.length === 0 && this.status === 'pending') {
+    this.status = 'approved';
+  }
+
+  return flags;
+};
+
+// Record a moderator's decision: 'approved', 'rejected' or 'redacted'
+// (approved with the offending text removed). Deciding on an appealed review
+// resolves the appeal.
+reviewSchema.methods.moderate = function(action, { reason = '', by }) {
+  const now = new Date();
+
+  this.status = action === 'rejected' ? 'rejected' : 'approved';
+  this.moderation.reason = reason;
+  this.moderation.moderatedBy = by;
+  this.moderation.moderatedAt = now;
+  this.moderation.history.push({ action, reason, by, at: now });
+
+  if (this.appeal && this.appeal.status === 'pending') {
+    this.appeal.status = this.status === 'rejected' ? 'upheld' : 'overturned';
+    this.appeal.resolvedAt = now;
+  }
+};
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+const VOTES = {
+  like: { voters: 'likedBy', counter: 'likes', opposite: { voters: 'notHelpfulBy', counter: 'notHelpful' } },
+  notHelpful: { voters: 'notHelpfulBy', counter: 'notHelpful', opposite: { voters: 'likedBy', counter: 'likes' } }
+};
+
+// Toggle a user's 'like' or 'notHelpful' vote, dropping their opposite vote,
+// and re-score the review. One pipeline update, so concurrent votes cannot
+// lose counts. Returns the review with the voter arrays, or null.
+reviewSchema.statics.toggleVote = async function(reviewId, userId, vote) {
+  const { voters, counter, opposite } = VOTES[vote];
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  const current = (field) => ({ $ifNull: [`$${field}`, []] });
+
+  const result = await this.updateOne({ _id: reviewId, ...this.visibleQuery() }, [
+    {
+      $set: {
+        _voted: { $in: [userObjectId, current(voters)] },
+        _votedOpposite: { $in: [userObjectId, current(opposite.voters)] }
+      }
+    },
+    {
+      $set: {
+        [voters]: {
+          $cond: ['$_voted', { $setDifference: [current(voters), [userObjectId]] }, { $concatArrays: [current(voters), [userObjectId]] }]
+        },
+        [counter]: { $add: [{ $ifNull: [`$${counter}`, 0] }, { $cond: ['$_voted', -1, 1] }] },
+        [opposite.voters]: {
+          $cond: ['$_votedOpposite', { $setDifference: [current(opposite.voters), [userObjectId]] }, current(opposite.voters)]
+        },
+        [opposite.counter]: { $subtract: [{ $ifNull: [`$${opposite.counter}`, 0] }, { $cond: ['$_votedOpposite', 1, 0] }] }
+      }
+    },
+    { $set: { helpfulScore: wilsonExpression() } },
+    { $unset: ['_voted', '_votedOpposite'] }
+  ]);
+
+  if (result.matchedCount === 0) return null;
+  return this.findById(reviewId).select('+likedBy +notHelpfulBy');
+};
+
+// Recompute helpfulScore, e.g. for reviews liked before it existed
+reviewSchema.statics.rescoreHelpfulness = function(filter = {}) {
+  return this.updateMany(filter, [
+    { $set: { likes: { $ifNull: ['$likes', 0] }, notHelpful: { $ifNull: ['$notHelpful', 0] } } },
+    { $set: { helpfulScore: wilsonExpression() } }
+  ]);
+};
 
 // Update PG listing rating when review is added, updated, or deleted
 reviewSchema.post('save', async function() {
   await updatePGListingRating(this.pgListing);
 });
 
+// review.deleteOne() on a loaded document
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await updatePGListingRating(this.pgListing);
+});
+
 reviewSchema.post('findOneAndDelete', async function(doc) {
   if (doc) {
     await updatePGListingRating(doc.pgListing);
@@ -77,29 +318,53 @@ reviewSchema.post('findOneAndUpdate', async function(doc) {
   }
 });
 
+// Overall, verified-stay and per-category averages (one decimal) and counts
 async function updatePGListingRating(pgListingId) {
   const Review = mongoose.model('Review');
   
   const stats = await Review.aggregate([
-    { $match: { pgListing: pgListingId } },
+    { $match: { pgListing: pgListingId, ...Review.visibleQuery() } },
     {
       $group: {
         _id: '$pgListing',
         averageRating: { $avg: '$rating' },
-        reviewCount: { $sum: 1 }
+        reviewCount: { $sum: 1 },
+        verifiedAverageRating: { $avg: { $cond: ['$verifiedStay', '$rating', null] } },
+        verifiedReviewCount: { $sum: { $cond: ['$verifiedStay', 1, 0] } },
+        // $avg skips reviews that left a category out
+        ...REVIEW_CATEGORIES.reduce((fields, category) => {
+          fields[`${category}Average`] = { $avg: `$subRatings.${category}` };
+          fields[`${category}Count`] = { $sum: { $cond: [{ $gt: [`$subRatings.${category}`, null] }, 1, 0] } };
+          return fields;
+        }, {})
       }
     }
   ]);
+
+  const subRatings = REVIEW_CATEGORIES.reduce((result, category) => {
+    const average = stats.length > 0 ? stats[0][`${category}Average`] : null;
+    result[category] = {
+      average: average ? parseFloat(average.toFixed(1)) : 0,
+      count: stats.length > 0 ? stats[0][`${category}Count`] : 0
+    };
+    return result;
+  }, {});
   
   if (stats.length > 0) {
     await mongoose.model('PGListing').findByIdAndUpdate(pgListingId, {
       rating: parseFloat(stats[0].averageRating.toFixed(1)),
-      reviewCount: stats[0].reviewCount
+      reviewCount: stats[0].reviewCount,
+      verifiedRating: parseFloat((stats[0].verifiedAverageRating || 0).toFixed(1)),
+      verifiedReviewCount: stats[0].verifiedReviewCount,
+      subRatings
     });
   } else {
     await mongoose.model('PGListing').findByIdAndUpdate(pgListingId, {
       rating: 0,
-      reviewCount: 0
+      reviewCount: 0,
+      verifiedRating: 0,
+      verifiedReviewCount: 0,
+      subRatings
     });
   }
 }
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { buildListingFilter, resolveSearchQuery } = require('../utils/listingSearch');
+
+const MAX_SAVED_SEARCHES = 20;
+// Matches remembered between digest runs; far above what one city returns
+const MAX_TRACKED_MATCHES = 1000;
+
+//   none    saved for re-running only
+//   daily   digest of new matches at most once a day
+//   weekly  digest of new matches at most once a week
+const DIGEST_FREQUENCIES = ['none', 'daily', 'weekly'];
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// The /api/search parameters a saved search keeps
+const criteriaSchema = new mongoose.Schema({
+  q: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Search text cannot be more than 100 characters'],
+    default: ''
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['', 'boys', 'girls', 'co-ed', 'family'],
+      message: 'Type must be boys, girls, co-ed or family'
+    },
+    default: ''
+  },
+  minPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: null
+  },
+  maxPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: null
+  },
+  amenities: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [60, 'Search name cannot be more than 60 characters']
+  },
+  criteria: {
+    type: criteriaSchema,
+    default: () => ({})
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: DIGEST_FREQUENCIES,
+      message: 'Frequency must be none, daily or weekly'
+    },
+    default: 'none'
+  },
+  // Listings that matched at the last run; anything else matching at the
+  // next run is new (just published, or edited into the criteria)
+  matchedListings: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PGListing' }],
+    select: false
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    // Internal digest state, even when selected
+    transform: (doc, ret) => {
+      delete ret.matchedListings;
+      return ret;
+    }
+  }
+});
+
+savedSearchSchema.path('criteria').validate(function(criteria) {
+  return criteria.minPrice == null || criteria.maxPrice == null || criteria.minPrice <= criteria.maxPrice;
+}, 'minPrice cannot be more than maxPrice');
+
+// Listing filter for the saved criteria, apart from the search text (q)
+savedSearchSchema.methods.toFilter = function() {
+  const { city, type, minPrice, maxPrice, amenities } = this.criteria || {};
+  return buildListingFilter({ city, type, minPrice, maxPrice, amenities });
+};
+
+// Remember the current matches as seen, so the next run only reports new ones
+savedSearchSchema.methods.markSeen = function(listingIds, now = new Date()) {
+  this.matchedListings = listingIds.slice(0, MAX_TRACKED_MATCHES);
+  this.lastRunAt = now;
+};
+
+// Ids of the published listings matching now, newest first
+savedSearchSchema.methods.findMatchIds = async function() {
+  const filter = this.toFilter();
+  const { query } = this.criteria.q ? await resolveSearchQuery(filter, this.criteria.q) : { query: filter };
+
+  const listings = await mongoose.model('PGListing')
+    .find(query)
+    .select('_id')
+    .sort({ createdAt: -1 })
+    .limit(MAX_TRACKED_MATCHES)
+    .lean();
+  return listings.map(listing => listing._id);
+};
+
+// Subscribed searches whose digest is due at `now`
+savedSearchSchema.statics.dueQuery = function(now = new Date()) {
+  return {
+    $or: Object.keys(DIGEST_PERIODS).map(frequency => ({
+      frequency,
+      $or: [
+        { lastRunAt: null },
+        { lastRunAt: { $lte: new Date(now.getTime() - DIGEST_PERIODS[frequency]) } }
+      ]
+    }))
+  };
+};
+
+savedSearchSchema.statics.MAX_PER_USER = MAX_SAVED_SEARCHES;
+savedSearchSchema.statics.FREQUENCIES = DIGEST_FREQUENCIES;
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, lastRunAt: 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
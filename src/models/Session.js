@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One document per login (device). The refresh token is rotated on every
+// use; previously issued hashes are kept so that a replayed token can be
+// detected and the whole session revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [{
+    type: String
+  }],
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'reuse', 'admin', 'password-change', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A session is usable until it expires or is revoked
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.methods.revoke = function(reason = 'user') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this;
+};
+
+// Revoke every open session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'user', exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Indexes for token lookups and listing a user's devices
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
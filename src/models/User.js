@@ -1,5 +1,70 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { hashToken } = require('../utils/generateToken');
+
+const PASSWORD_RESET_EXPIRE_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_EXPIRE_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Owner's tax details, printed on the invoices and receipts issued to
+// their tenants
+const billingSchema = new mongoose.Schema({
+  legalName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  pan: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, 'Invalid PAN'],
+    default: undefined
+  },
+  // Leave empty when not registered for GST (bills of supply are issued instead)
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN'],
+    default: undefined
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  state: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Two-digit GST state code of the state the properties are in
+  stateCode: {
+    type: String,
+    match: [/^\d{2}$/, 'State code must be two digits'],
+    default: undefined
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 5, 12, 18],
+    default: 0
+  },
+  invoicePrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{1,8}$/, 'Invoice prefix may use up to 8 letters, digits or dashes'],
+    default: 'INV'
+  },
+  receiptPrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{1,8}$/, 'Receipt prefix may use up to 8 letters, digits or dashes'],
+    default: 'RCPT'
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -16,7 +81,9 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true
+    required: true,
+    minlength: [6, 'Password must be at least 6 characters'],
+    select: false
   },
   phone: {
     type: String,
@@ -44,6 +111,45 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  billing: {
+    type: billingSchema,
+    default: undefined
+  },
+
+  // Email verification
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+
+  // Password reset
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+
   createdAt: {
     type: Date,
     default: Date.now
@@ -60,10 +166,34 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Hash password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Only 'active' accounts may sign in
+userSchema.virtual('isActive').get(function() {
+  return this.status === 'active';
+});
+
 // Remove password when converting to JSON
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
   return user;
 };
 
@@ -72,6 +202,38 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Alias used by the auth controller
+userSchema.methods.matchPassword = userSchema.methods.comparePassword;
+
+// Issue a single-use email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_MS);
+  return token;
+};
+
+// Issue a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MS);
+  return token;
+};
+
+// Find the user owning a still-valid token of the given kind
+userSchema.statics.findByValidToken = function(kind, token) {
+  const fields = {
+    emailVerification: ['emailVerificationTokenHash', 'emailVerificationExpires'],
+    passwordReset: ['passwordResetTokenHash', 'passwordResetExpires']
+  }[kind];
+
+  return this.findOne({
+    [fields[0]]: hashToken(token),
+    [fields[1]]: { $gt: new Date() }
+  }).select(`+${fields[0]} +${fields[1]}`);
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Gateway webhook deliveries already processed. The unique index makes a
+// redelivered event fail to insert, which is how callbacks stay idempotent.
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    default: ''
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+// Gateways stop retrying long before this
+webhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const MAX_COLLECTIONS = 20;
+const MAX_ITEMS_PER_COLLECTION = 100;
+const DEFAULT_COLLECTION_NAME = 'My shortlist';
+// Daily alert digests go out at most this often per user
+const DIGEST_PERIOD = 24 * 60 * 60 * 1000;
+
+const itemSchema = new mongoose.Schema({
+  pgListing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PGListing',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+    default: ''
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Opt-in alerts about changes to this PG
+  alerts: {
+    priceDrop: { type: Boolean, default: false },
+    vacancy: { type: Boolean, default: false },
+    newRoomType: { type: Boolean, default: false }
+  }
+}, { _id: false });
+
+// A named shortlist, e.g. "Near Gate 1". A share token makes it readable by
+// anyone with the link, without signing in.
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [60, 'Collection name cannot be more than 60 characters']
+  },
+  items: {
+    type: [itemSchema],
+    validate: {
+      validator: (items) => items.length <= MAX_ITEMS_PER_COLLECTION,
+      message: `A collection can hold at most ${MAX_ITEMS_PER_COLLECTION} PGs`
+    }
+  },
+  shareToken: {
+    type: String,
+    default: undefined
+  },
+  sharedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+collectionSchema.methods.hasListing = function(pgListingId) {
+  return this.items.some(item => item.pgListing.toString() === pgListingId.toString());
+};
+
+collectionSchema.methods.share = function() {
+  if (!this.shareToken) {
+    this.shareToken = crypto.randomBytes(16).toString('hex');
+    this.sharedAt = new Date();
+  }
+  return this.shareToken;
+};
+
+collectionSchema.methods.unshare = function() {
+  this.shareToken = undefined;
+  this.sharedAt = null;
+};
+
+// One wishlist per user holding all of their collections
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  collections: {
+    type: [collectionSchema],
+    validate: {
+      validator: (collections) => collections.length <= MAX_COLLECTIONS,
+      message: `You can have at most ${MAX_COLLECTIONS} collections`
+    }
+  },
+  // Listing alerts right away, or bundled into one daily digest
+  alertDelivery: {
+    type: String,
+    enum: {
+      values: ['instant', 'daily'],
+      message: 'Alert delivery must be instant or daily'
+    },
+    default: 'instant'
+  },
+  // When the last daily digest went out; the next one is due a day later
+  lastAlertDigestAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+// The user's wishlist, created with a default collection on first use
+wishlistSchema.statics.forUser = async function(userId) {
+  const existing = await this.findOne({ user: userId });
+  if (existing) return existing;
+
+  try {
+    return await this.create({ user: userId, collections: [{ name: DEFAULT_COLLECTION_NAME }] });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) {
+      return this.findOne({ user: userId });
+    }
+    throw error;
+  }
+};
+
+wishlistSchema.methods.findCollectionByName = function(name, exceptId = null) {
+  const wanted = name.trim().toLowerCase();
+  return this.collections.find(collection =>
+    collection.name.toLowerCase() === wanted && (!exceptId || collection._id.toString() !== exceptId.toString())
+  );
+};
+
+// Alert types the user opted in to for a listing, across all collections
+wishlistSchema.methods.alertsFor = function(pgListingId) {
+  const alerts = { priceDrop: false, vacancy: false, newRoomType: false };
+
+  this.collections.forEach(collection => {
+    collection.items
+      .filter(item => item.pgListing.toString() === pgListingId.toString())
+      .forEach(item => {
+        Object.keys(alerts).forEach(key => {
+          alerts[key] = alerts[key] || Boolean(item.alerts && item.alerts[key]);
+        });
+      });
+  });
+
+  return alerts;
+};
+
+// Not unique: unshared collections would all index as null. Tokens are 128
+// random bits, so they do not collide.
+wishlistSchema.index({ 'collections.shareToken': 1 });
+wishlistSchema.index({ 'collections.items.pgListing': 1 });
+
+// Wishlists of the given users whose daily alert digest is due at `now`
+wishlistSchema.statics.digestDueQuery = function(userIds, now = new Date()) {
+  return {
+    user: { $in: userIds },
+    $or: [
+      { lastAlertDigestAt: null },
+      { lastAlertDigestAt: { $lte: new Date(now.getTime() - DIGEST_PERIOD) } }
+    ]
+  };
+};
+
+wishlistSchema.statics.DEFAULT_COLLECTION_NAME = DEFAULT_COLLECTION_NAME;
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+module.exports = Wishlist;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyPermissions,
+  getStaff,
+  addStaff,
+  updateStaff,
+  updateUserStatus
+} = require('../controllers/adminController');
+const {
+  getQueue,
+  approveReview,
+  rejectReview,
+  redactReview
+} = require('../controllers/reviewModerationController');
+const {
+  getReports,
+  getReport,
+  assignReport,
+  addReportNote,
+  resolveReport
+} = require('../controllers/reportController');
+const { protect, adminOnly, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/constants');
+
+// Every admin route needs a signed-in staff member
+router.use(protect, adminOnly);
+
+router.get('/me', getMyPermissions);
+
+// Staff management
+router.get('/staff', requirePermission(PERMISSIONS.STAFF_MANAGE), getStaff);
+router.post('/staff', requirePermission(PERMISSIONS.STAFF_MANAGE), addStaff);
+router.put('/staff/:id', requirePermission(PERMISSIONS.STAFF_MANAGE), updateStaff);
+
+// Review moderation
+router.get('/reviews/queue', requirePermission(PERMISSIONS.REVIEW_MODERATE), getQueue);
+router.patch('/reviews/:id/approve', requirePermission(PERMISSIONS.REVIEW_MODERATE), approveReview);
+router.patch('/reviews/:id/reject', requirePermission(PERMISSIONS.REVIEW_MODERATE), rejectReview);
+router.patch('/reviews/:id/redact', requirePermission(PERMISSIONS.REVIEW_MODERATE), redactReview);
+
+// Listing reports
+router.get('/reports', requirePermission(PERMISSIONS.REPORT_MANAGE), getReports);
+router.get('/reports/:id', requirePermission(PERMISSIONS.REPORT_MANAGE), getReport);
+router.patch('/reports/:id/assign', requirePermission(PERMISSIONS.REPORT_MANAGE), assignReport);
+router.post('/reports/:id/notes', requirePermission(PERMISSIONS.REPORT_MANAGE), addReportNote);
+router.patch('/reports/:id/resolve', requirePermission(PERMISSIONS.REPORT_MANAGE), resolveReport);
+
+// User accounts
+router.patch('/users/:id/status', requirePermission(PERMISSIONS.USER_SUSPEND), updateUserStatus);
+
+module.exports = router;
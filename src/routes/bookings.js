@@ -3,44 +3,54 @@ const router = express.Router();
 const Booking = require('../models/Booking');
 const PGListing = require('../models/PGListing');
 const { protect } = require('../middleware/authMiddleware');
+const {
+  getBookingPayments,
+  createPaymentOrder,
+  recordAdjustment
+} = require('../controllers/paymentController');
+const { getRentSchedule, getMyDues } = require('../controllers/rentController');
+const {
+  getBookingInvoices,
+  getBookingInvoice,
+  downloadInvoicePdf
+} = require('../controllers/invoiceController');
+const { prepareQuote, cancelBooking, closeUnstartedBooking } = require('../utils/cancellation');
 
 // @desc    Create a new booking
 // @route   POST /api/bookings
 // @access  Private
 router.post('/', protect, async (req, res) => {
   try {
-    const { pgId, roomType, startDate, duration, specialRequests } = req.body;
+    const { pgId, roomId, bedId, roomType, startDate, duration, specialRequests } = req.body;
 
-    const pg = await PGListing.findById(pgId);
-    if (!pg) {
-      return res.status(404).json({ error: 'PG not found' });
+    if (!pgId || !startDate || !duration) {
+      return res.status(400).json({ error: 'pgId, startDate and duration are required' });
     }
 
-    // Check if PG is available
-    if (pg.availability === 'full') {
-      return res.status(400).json({ error: 'PG is currently full' });
+    const months = parseInt(duration);
+    if (isNaN(months) || months < 1) {
+      return res.status(400).json({ error: 'Duration must be a positive number of months' });
     }
 
-    // Calculate total amount
-    const totalAmount = pg.price * duration;
-    const deposit = pg.deposit || Math.floor(totalAmount * 0.2); // 20% deposit
+    if (isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({ error: 'Invalid start date' });
+    }
 
-    const booking = new Booking({
-      user: req.user._id,
-      pgListing: pgId,
+    // Reserves the bed atomically; the booking holds it until confirmed
+    const createdBooking = await Booking.reserve({
+      pgId,
+      user: req.user,
+      roomId,
+      bedId,
       roomType,
       startDate,
-      duration,
-      totalAmount,
-      deposit,
-      specialRequests,
-      status: 'pending'
+      duration: months,
+      specialRequests
     });
 
-    const createdBooking = await booking.save();
     res.status(201).json(createdBooking);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
@@ -59,6 +69,9 @@ router.get('/mybookings', protect, async (req, res) => {
   }
 });
 
+// Outstanding rent of the signed-in tenant
+router.get('/mydues', protect, getMyDues);
+
 // @desc    Get booking by ID
 // @route   GET /api/bookings/:id
 // @access  Private
@@ -72,8 +85,11 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    // Check if user is authorized to view this booking
-    if (booking.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is authorized to view this booking (tenant, listing owner or admin)
+    const isTenant = booking.user._id.toString() === req.user._id.toString();
+    const isOwner = booking.pgListing && booking.pgListing.owner &&
+      booking.pgListing.owner.toString() === req.user._id.toString();
+    if (!isTenant && !isOwner && req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
@@ -83,7 +99,34 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Cancel booking
+// @desc    Preview the refund a cancellation would give right now
+// @route   GET /api/bookings/:id/cancellation-quote
+// @access  Private
+router.get('/:id/cancellation-quote', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (!booking.canTransitionTo('cancelled')) {
+      return res.status(400).json({ error: `A ${booking.status} booking cannot be cancelled` });
+    }
+
+    const { quote } = await prepareQuote(booking);
+
+    res.json({ quote });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// @desc    Cancel booking (refund follows the listing's cancellation policy)
 // @route   PUT /api/bookings/:id/cancel
 // @access  Private
 router.put('/:id/cancel', protect, async (req, res) => {
@@ -100,18 +143,13 @@ router.put('/:id/cancel', protect, async (req, res) => {
     }
 
     // Check if booking can be cancelled
-    if (booking.status === 'cancelled') {
-      return res.status(400).json({ error: 'Booking is already cancelled' });
-    }
-
-    if (booking.status === 'completed') {
-      return res.status(400).json({ error: 'Completed bookings cannot be cancelled' });
+    if (!booking.canTransitionTo('cancelled')) {
+      return res.status(400).json({ error: `A ${booking.status} booking cannot be cancelled` });
     }
 
-    booking.status = 'cancelled';
-    await booking.save();
+    const { quote, refunds } = await cancelBooking(booking, req.user, { reason: req.body.reason });
 
-    res.json({ message: 'Booking cancelled successfully' });
+    res.json({ message: 'Booking cancelled successfully', booking, refund: quote, refunds });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -154,7 +192,12 @@ router.get('/', protect, async (req, res) => {
 // @access  Private/Admin/Owner
 router.put('/:id/status', protect, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
+
+    if (!Booking.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${Booking.STATUSES.join(', ')}` });
+    }
+
     const booking = await Booking.findById(req.params.id);
 
     if (!booking) {
@@ -164,20 +207,56 @@ router.put('/:id/status', protect, async (req, res) => {
     // Check authorization
     if (req.user.role === 'owner') {
       const pg = await PGListing.findById(booking.pgListing);
-      if (pg.owner.toString() !== req.user._id.toString()) {
+      if (!pg || !pg.owner || pg.owner.toString() !== req.user._id.toString()) {
         return res.status(403).json({ error: 'Not authorized' });
       }
     } else if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    booking.status = status;
+    // Enforce the booking lifecycle
+    if (!booking.canTransitionTo(status)) {
+      return res.status(400).json({
+        error: `Cannot change booking status from '${booking.status}' to '${status}'`,
+        allowed: Booking.TRANSITIONS[booking.status]
+      });
+    }
+
+    // Cancelling on the tenant's behalf waives the listing's policy
+    if (status === 'cancelled') {
+      const { quote, refunds } = await cancelBooking(booking, req.user, {
+        reason: note,
+        initiatedBy: req.user.role === 'owner' ? 'owner' : 'admin'
+      });
+      return res.json({ message: 'Booking cancelled successfully', booking, refund: quote, refunds });
+    }
+
+    // A request turned down (or left to expire) never started: refund it all
+    if (status === 'rejected' || status === 'expired') {
+      const { refunds } = await closeUnstartedBooking(booking, status, req.user, note);
+      return res.json({ message: 'Booking status updated successfully', booking, refunds });
+    }
+
+    booking.transitionTo(status, req.user, note);
     await booking.save();
 
-    res.json({ message: 'Booking status updated successfully' });
+    res.json({ message: 'Booking status updated successfully', booking });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
+// Payment ledger
+router.get('/:id/payments', protect, getBookingPayments);
+router.post('/:id/payments', protect, createPaymentOrder);
+router.post('/:id/payments/adjustments', protect, recordAdjustment);
+
+// Rent schedule
+router.get('/:id/rent-schedule', protect, getRentSchedule);
+
+// Invoices and receipts
+router.get('/:id/invoices', protect, getBookingInvoices);
+router.get('/:id/invoices/:invoiceId', protect, getBookingInvoice);
+router.get('/:id/invoices/:invoiceId/pdf', protect, downloadInvoicePdf);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDashboard,
+  getMyListings,
+  getMyListing,
+  createMyListing,
+  updateMyListing,
+  getMyBookings,
+  getMyReviews,
+  getBilling,
+  updateBilling
+} = require('../controllers/ownerController');
+const { getOwnerDues } = require('../controllers/rentController');
+const { protect, owner } = require('../middleware/authMiddleware');
+
+// Everything here is scoped to the signed-in owner's own listings.
+// Booking status changes go through PUT /api/bookings/:id/status and
+// review replies through POST /api/reviews/:id/reply.
+router.use(protect, owner);
+
+router.get('/dashboard', getDashboard);
+
+router.get('/listings', getMyListings);
+router.post('/listings', createMyListing);
+router.get('/listings/:id', getMyListing);
+router.put('/listings/:id', updateMyListing);
+
+router.get('/bookings', getMyBookings);
+router.get('/reviews', getMyReviews);
+router.get('/dues', getOwnerDues);
+
+// Tax details printed on invoices and receipts
+router.get('/billing', getBilling);
+router.put('/billing', updateBilling);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  refundPayment,
+  settleManualRefund,
+  handleWebhook,
+  simulateFakeWebhook
+} = require('../controllers/paymentController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/constants');
+
+// Mounted at /api/payments
+
+// Gateway callbacks (authenticated by signature)
+router.post('/webhook/:gateway', handleWebhook);
+
+router.post('/:id/refund', protect, requirePermission(PERMISSIONS.PAYMENT_REFUND), refundPayment);
+router.patch('/:id/settle', protect, requirePermission(PERMISSIONS.PAYMENT_REFUND), settleManualRefund);
+
+// Complete fake-gateway checkouts without a real gateway. Off unless
+// FAKE_GATEWAY_SIMULATE=true, and never in production.
+if (process.env.FAKE_GATEWAY_SIMULATE === 'true' && process.env.NODE_ENV !== 'production') {
+  router.post('/fake/simulate', protect, simulateFakeWebhook);
+}
+
+module.exports = router;
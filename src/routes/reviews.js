@@ -2,14 +2,26 @@ const express = require('express');
 const router = express.Router();
 const Review = require('../models/Review');
 const PGListing = require('../models/PGListing');
-const { protect } = require('../middleware/authMiddleware');
+const Booking = require('../models/Booking');
+const { protect, loadAdminRole } = require('../middleware/authMiddleware');
+const { REVIEW_CATEGORIES, PERMISSIONS, hasPermission } = require('../config/constants');
+
+// Known categories only; null or '' drops a sub-rating
+const pickSubRatings = (input = {}, current = {}) => {
+  const subRatings = { ...current };
+  REVIEW_CATEGORIES.forEach(category => {
+    if (input[category] === undefined) return;
+    subRatings[category] = input[category] === null || input[category] === '' ? undefined : Number(input[category]);
+  });
+  return subRatings;
+};
 
 // @desc    Create a review
 // @route   POST /api/reviews
 // @access  Private
 router.post('/', protect, async (req, res) => {
   try {
-    const { pgId, rating, title, comment } = req.body;
+    const { pgId, rating, subRatings, title, comment } = req.body;
 
     // Check if user has already reviewed this PG
     const existingReview = await Review.findOne({
@@ -21,25 +33,32 @@ router.post('/', protect, async (req, res) => {
       return res.status(400).json({ error: 'You have already reviewed this PG' });
     }
 
-    // Check if user has booked this PG (optional validation)
-    // const booking = await Booking.findOne({
-    //   user: req.user._id,
-    //   pgListing: pgId,
-    //   status: 'completed'
-    // });
-    
-    // if (!booking) {
-    //   return res.status(400).json({ error: 'You must have booked this PG to leave a review' });
-    // }
+    const pg = await PGListing.findById(pgId).select('reviewPolicy');
+    if (!pg) {
+      return res.status(404).json({ error: 'PG not found' });
+    }
+
+    // Reviews from an active or completed stay are marked verified
+    const stay = await Booking.findStay(req.user._id, pgId);
+
+    if (!stay && pg.reviewPolicy === 'verified-only') {
+      return res.status(403).json({ error: 'This PG only accepts reviews from tenants who have stayed there' });
+    }
 
     const review = new Review({
       user: req.user._id,
       pgListing: pgId,
       rating,
+      subRatings: pickSubRatings(subRatings),
       title,
-      comment
+      comment,
+      verifiedStay: Boolean(stay),
+      booking: stay ? stay._id : null
     });
 
+    // Contact details, links or abuse hold the review for a moderator
+    review.screen();
+
     const createdReview = await review.save();
     
     // Populate user info
@@ -63,21 +82,35 @@ router.get('/pg/:pgId', async (req, res) => {
     if (sort === 'recent') {
       sortOptions = { createdAt: -1 };
     } else if (sort === 'helpful') {
-      sortOptions = { likes: -1 };
+      // Confidence-adjusted share of helpful votes, not raw counts
+      sortOptions = { helpfulScore: -1, likes: -1, createdAt: -1 };
     } else if (sort === 'rating') {
       sortOptions = { rating: -1 };
     }
 
-    const reviews = await Review.find({ pgListing: req.params.pgId })
+    // ?verified=true lists verified-stay reviews only
+    const query = { pgListing: req.params.pgId, ...Review.visibleQuery() };
+    if (req.query.verified === 'true') {
+      query.verifiedStay = true;
+    }
+
+    const reviews = await Review.find(query)
       .populate('user', 'name')
       .sort(sortOptions)
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await Review.countDocuments({ pgListing: req.params.pgId });
+    const total = await Review.countDocuments(query);
+    const pg = await PGListing.findById(req.params.pgId)
+      .select('rating reviewCount verifiedRating verifiedReviewCount reviewPolicy');
 
     res.json({
       reviews,
+      ratings: pg ? {
+        overall: { average: pg.rating, count: pg.reviewCount },
+        verified: { average: pg.verifiedRating, count: pg.verifiedReviewCount },
+        reviewPolicy: pg.reviewPolicy
+      } : null,
       page: parseInt(page),
       totalPages: Math.ceil(total / limit),
       total
@@ -118,10 +151,18 @@ router.put('/:id', protect, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
+    if (review.status === 'rejected') {
+      return res.status(400).json({ error: 'This review was rejected by a moderator. You can appeal the decision instead.' });
+    }
+
     review.rating = req.body.rating || review.rating;
+    if (req.body.subRatings) {
+      review.subRatings = pickSubRatings(req.body.subRatings, review.subRatings ? review.subRatings.toObject() : {});
+    }
     review.title = req.body.title || review.title;
     review.comment = req.body.comment || review.comment;
     review.updatedAt = Date.now();
+    review.screen();
 
     const updatedReview = await review.save();
     res.json(updatedReview);
@@ -130,6 +171,44 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Appeal a moderator's rejection (once per review)
+// @route   POST /api/reviews/:id/appeal
+// @access  Private
+router.post('/:id/appeal', protect, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (review.status !== 'rejected') {
+      return res.status(400).json({ error: 'Only rejected reviews can be appealed' });
+    }
+
+    if (review.appeal) {
+      return res.status(400).json({ error: 'This review has already been appealed' });
+    }
+
+    const message = (req.body.message || '').trim();
+    if (!message) {
+      return res.status(400).json({ error: 'Tell the moderators why the review should be published' });
+    }
+
+    review.appeal = { message };
+    review.moderation.history.push({ action: 'appealed', reason: message, by: req.user._id });
+    await review.save();
+
+    res.status(201).json({ message: 'Appeal submitted', appeal: review.appeal });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // @desc    Delete a review
 // @route   DELETE /api/reviews/:id
 // @access  Private
@@ -141,8 +220,9 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(404).json({ error: 'Review not found' });
     }
 
-    // Check if user is the review author or admin
-    if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is the review author or staff allowed to delete reviews
+    const isAuthor = review.user.toString() === req.user._id.toString();
+    if (!isAuthor && !hasPermission(await loadAdminRole(req), PERMISSIONS.REVIEW_DELETE)) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
@@ -153,24 +233,47 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Like a review
+// Reply with the review's vote counts and the caller's own vote
+const sendVotes = (res, review, userId) => {
+  const id = userId.toString();
+  res.json({
+    likes: review.likes,
+    notHelpful: review.notHelpful,
+    helpfulScore: review.helpfulScore,
+    liked: review.likedBy.some(voter => voter.toString() === id),
+    markedNotHelpful: review.notHelpfulBy.some(voter => voter.toString() === id)
+  });
+};
+
+// @desc    Like a review, or take the like back
 // @route   POST /api/reviews/:id/like
 // @access  Private
 router.post('/:id/like', protect, async (req, res) => {
   try {
-    // In a real app, you might want to track who liked what
-    // For simplicity, we'll just increment the likes count
-    const review = await Review.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { likes: 1 } },
-      { new: true }
-    );
+    const review = await Review.toggleVote(req.params.id, req.user._id, 'like');
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    sendVotes(res, review, req.user._id);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// @desc    Mark a review as not helpful, or take that back
+// @route   POST /api/reviews/:id/not-helpful
+// @access  Private
+router.post('/:id/not-helpful', protect, async (req, res) => {
+  try {
+    const review = await Review.toggleVote(req.params.id, req.user._id, 'notHelpful');
 
     if (!review) {
       return res.status(404).json({ error: 'Review not found' });
     }
 
-    res.json({ likes: review.likes });
+    sendVotes(res, review, req.user._id);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -189,7 +292,8 @@ router.post('/:id/reply', protect, async (req, res) => {
 
     // Check if user is PG owner or admin
     const pg = await PGListing.findById(review.pgListing);
-    if (pg.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    const isOwner = pg && pg.owner && pg.owner.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
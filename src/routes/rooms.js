@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getRooms,
+  addRoom,
+  updateRoom,
+  deleteRoom,
+  addBed,
+  updateBed,
+  deleteBed
+} = require('../controllers/roomController');
+const { protect, requireListingAccess } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/constants');
+
+// Mounted at /api/pg/:id/rooms
+const manage = [protect, requireListingAccess(PERMISSIONS.LISTING_UPDATE)];
+
+// Public
+router.get('/', getRooms);
+
+// Listing owner or staff
+router.post('/', manage, addRoom);
+router.put('/:roomId', manage, updateRoom);
+router.delete('/:roomId', manage, deleteRoom);
+router.post('/:roomId/beds', manage, addBed);
+router.patch('/:roomId/beds/:bedId', manage, updateBed);
+router.delete('/:roomId/beds/:bedId', manage, deleteBed);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedSearches,
+  createSavedSearch,
+  getSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchResults
+} = require('../controllers/savedSearchController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Mounted at /api/saved-searches
+router.use(protect);
+
+router.get('/', getSavedSearches);
+router.post('/', createSavedSearch);
+router.get('/:id', getSavedSearch);
+router.put('/:id', updateSavedSearch);
+router.delete('/:id', deleteSavedSearch);
+router.get('/:id/results', getSavedSearchResults);
+
+module.exports = router;
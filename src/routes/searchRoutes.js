@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { facetedSearch, suggest } = require('../controllers/searchController');
+
+// Mounted at /api/search (GET /api/search itself is the /api/pg/search alias)
+router.get('/faceted', facetedSearch);
+router.get('/suggest', suggest);
+
+module.exports = router;
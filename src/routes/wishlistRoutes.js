@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWishlist,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  addItem,
+  updateItemNote,
+  removeItem,
+  updateItemAlerts,
+  updateAlertDelivery,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection
+} = require('../controllers/wishlistController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Mounted at /api/wishlist
+
+// Read-only share links work without signing in
+router.get('/shared/:token', getSharedCollection);
+
+router.use(protect);
+
+router.get('/', getWishlist);
+router.post('/items', addItem);
+router.put('/alerts', updateAlertDelivery);
+
+router.post('/collections', createCollection);
+router.patch('/collections/:collectionId', renameCollection);
+router.delete('/collections/:collectionId', deleteCollection);
+
+router.patch('/collections/:collectionId/items/:pgId', updateItemNote);
+router.delete('/collections/:collectionId/items/:pgId', removeItem);
+router.patch('/collections/:collectionId/items/:pgId/alerts', updateItemAlerts);
+
+router.post('/collections/:collectionId/share', shareCollection);
+router.delete('/collections/:collectionId/share', unshareCollection);
+
+module.exports = router;
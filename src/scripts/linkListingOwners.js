@@ -0,0 +1,69 @@
+// Link existing PG listings to owner accounts.
+//
+// Listings created before `owner` existed only carry free-text
+// ownerEmail / ownerPhone. This matches them to User accounts with
+// role 'owner' (email first, then phone) and sets `owner`.
+//
+// Usage:
+//   node src/scripts/linkListingOwners.js            # apply
+//   node src/scripts/linkListingOwners.js --dry-run  # report only
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const PGListing = require('../models/PGListing');
+const User = require('../models/User');
+
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+const linkListingOwners = async ({ dryRun = false } = {}) => {
+  const owners = await User.find({ role: 'owner' }).select('email phone');
+
+  const byEmail = new Map();
+  const byPhone = new Map();
+  owners.forEach(owner => {
+    if (owner.email) byEmail.set(owner.email.toLowerCase(), owner);
+    const phone = normalizePhone(owner.phone);
+    if (phone) byPhone.set(phone, owner);
+  });
+
+  const listings = await PGListing.find({ owner: null }).select('name ownerEmail ownerPhone');
+  const result = { linked: [], unmatched: [] };
+
+  for (const listing of listings) {
+    const owner = byEmail.get((listing.ownerEmail || '').toLowerCase().trim()) ||
+      byPhone.get(normalizePhone(listing.ownerPhone));
+
+    if (!owner) {
+      result.unmatched.push({ id: listing._id, name: listing.name });
+      continue;
+    }
+
+    if (!dryRun) {
+      await PGListing.updateOne({ _id: listing._id }, { owner: owner._id });
+    }
+    result.linked.push({ id: listing._id, name: listing.name, owner: owner.email });
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  connectDB()
+    .then(() => linkListingOwners({ dryRun }))
+    .then(result => {
+      console.log(`\n${dryRun ? '🔍 Dry run' : '✅ Migration complete'}`);
+      console.log(`🔗 Linked:    ${result.linked.length}`);
+      result.linked.forEach(item => console.log(`   ${item.name} → ${item.owner}`));
+      console.log(`❓ Unmatched: ${result.unmatched.length}`);
+      result.unmatched.forEach(item => console.log(`   ${item.name} (${item.id})`));
+      return mongoose.connection.close();
+    })
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = linkListingOwners;
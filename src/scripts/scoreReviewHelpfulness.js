@@ -0,0 +1,33 @@
+// Score existing reviews for the "helpful" sort.
+//
+// Reviews liked before votes were tracked per user have a like count but no
+// helpfulScore, so they would sink to the bottom of sort=helpful. This
+// computes the score from the counts they already have.
+//
+// Usage:
+//   node src/scripts/scoreReviewHelpfulness.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Review = require('../models/Review');
+
+const scoreReviewHelpfulness = async () => {
+  const result = await Review.rescoreHelpfulness();
+  return { scored: result.modifiedCount };
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(() => scoreReviewHelpfulness())
+    .then(result => {
+      console.log('\n✅ Migration complete');
+      console.log(`📊 Scored: ${result.scored}`);
+      return mongoose.connection.close();
+    })
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = scoreReviewHelpfulness;
@@ -0,0 +1,56 @@
+// Mark existing reviews as verified stays.
+//
+// Reviews written before `verifiedStay` existed all default to false. This
+// flags the ones whose author has an active or completed booking at the PG
+// and recomputes the ratings of the listings affected.
+//
+// Usage:
+//   node src/scripts/verifyReviewStays.js            # apply
+//   node src/scripts/verifyReviewStays.js --dry-run  # report only
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+
+const verifyReviewStays = async ({ dryRun = false } = {}) => {
+  const reviews = await Review.find({ verifiedStay: false }).select('user pgListing');
+  const result = { verified: [], unverified: 0 };
+
+  for (const review of reviews) {
+    const stay = await Booking.findStay(review.user, review.pgListing);
+
+    if (!stay) {
+      result.unverified++;
+      continue;
+    }
+
+    // findOneAndUpdate so the listing's ratings are recomputed
+    if (!dryRun) {
+      await Review.findOneAndUpdate({ _id: review._id }, { verifiedStay: true, booking: stay._id });
+    }
+    result.verified.push({ id: review._id, booking: stay._id });
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  connectDB()
+    .then(() => verifyReviewStays({ dryRun }))
+    .then(result => {
+      console.log(`\n${dryRun ? '🔍 Dry run' : '✅ Migration complete'}`);
+      console.log(`✔️ Verified:   ${result.verified.length}`);
+      result.verified.forEach(item => console.log(`   review ${item.id} → booking ${item.booking}`));
+      console.log(`➖ Unverified: ${result.unverified}`);
+      return mongoose.connection.close();
+    })
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = verifyReviewStays;
@@ -3,6 +3,20 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const PGListing = require('./models/PGListing');
+const { jobRunner } = require('./utils/jobRunner');
+const registerJobs = require('./jobs');
+const { searchPGListings, getPublicStats } = require('./controllers/pgController');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const ownerRoutes = require('./routes/owner');
+const pgRoutes = require('./routes/pg');
+const bookingRoutes = require('./routes/bookings');
+const reviewRoutes = require('./routes/reviews');
+const paymentRoutes = require('./routes/payments');
+const notificationRoutes = require('./routes/notifications');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const savedSearchRoutes = require('./routes/savedSearches');
+const searchRoutes = require('./routes/searchRoutes');
 
 const app = express();
 
@@ -46,7 +60,13 @@ app.use((req, res, next) => {
 });
 
 // ================ MIDDLEWARE ================
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ================ MONGODB ATLAS CONNECTION ================
@@ -63,6 +83,10 @@ mongoose.connect(MONGODB_URI, {
     console.log('✅ MongoDB Atlas Connected Successfully!');
     console.log(`📊 Database: ${mongoose.connection.name}`);
     console.log(`📊 Host: ${mongoose.connection.host}`);
+
+    // Background jobs need the database
+    registerJobs(jobRunner);
+    jobRunner.startJobs();
   })
   .catch(err => {
     console.error('❌ MongoDB Atlas Connection Error:', err.message);
@@ -86,18 +110,46 @@ app.get('/', (req, res) => {
     },
     endpoints: {
       createPG: 'POST /api/pg',
-      getPGs: 'GET /api/pg',
+      getPGs: 'GET /api/pg?page=&limit=&sort=',
+      searchPGs: 'GET /api/pg/search',
+      pgStats: 'GET /api/pg/stats',
       getSinglePG: 'GET /api/pg/:id',
+      nearbyPGs: 'GET /api/pg/nearby?lat=&lng=&radius=',
+      landmarks: 'GET /api/pg/landmarks',
       updatePG: 'PUT /api/pg/:id',
       deletePG: 'DELETE /api/pg/:id',
       publishPG: 'PATCH /api/pg/:id/publish',
       featurePG: 'PATCH /api/pg/:id/feature',
       verifyPG: 'PATCH /api/pg/:id/verify',
+      toggleStatus: 'PATCH /api/pg/:id/toggle-status',
       health: 'GET /health',
       test: 'GET /api/test',
       stats: 'GET /api/stats',
       dbTest: 'GET /api/db-test',
-      search: 'GET /api/search'
+      search: 'GET /api/search',
+      facetedSearch: 'GET /api/search/faceted',
+      suggest: 'GET /api/search/suggest?q=',
+      login: 'POST /api/auth/login',
+      register: 'POST /api/auth/register',
+      profile: 'GET /api/auth/profile',
+      bookings: '/api/bookings',
+      bookingPayments: '/api/bookings/:id/payments',
+      paymentWebhook: 'POST /api/payments/webhook/:gateway',
+      rentSchedule: 'GET /api/bookings/:id/rent-schedule',
+      listingDues: 'GET /api/pg/:id/dues',
+      bookingInvoices: 'GET /api/bookings/:id/invoices',
+      invoicePdf: 'GET /api/bookings/:id/invoices/:invoiceId/pdf',
+      notifications: 'GET /api/notifications',
+      reviews: '/api/reviews',
+      reviewQueue: 'GET /api/admin/reviews/queue',
+      reportListing: 'POST /api/pg/:id/report',
+      reports: 'GET /api/admin/reports',
+      wishlist: 'GET /api/wishlist',
+      sharedShortlist: 'GET /api/wishlist/shared/:token',
+      wishlistAlerts: 'PUT /api/wishlist/alerts',
+      savedSearches: 'GET /api/saved-searches',
+      savedSearchResults: 'GET /api/saved-searches/:id/results',
+      ownerDashboard: 'GET /api/owner/dashboard'
     }
   });
 });
@@ -187,744 +239,11 @@ app.get('/api/db-test', async (req, res) => {
   }
 });
 
-// ================ MAIN PG LISTINGS ENDPOINT ================
-
-// GET all PG listings - WITH CORS DEBUGGING
-app.get('/api/pg', async (req, res) => {
-  try {
-    console.log('\n📋 GET /api/pg - Request Details:');
-    console.log('🔗 Full URL:', req.protocol + '://' + req.get('host') + req.originalUrl);
-    console.log('📍 Origin:', req.headers.origin || 'No Origin');
-    console.log('📍 Referer:', req.headers.referer || 'No Referer');
-    console.log('📍 Query Params:', req.query);
-    
-    // Set CORS headers explicitly for this route
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Expose-Headers', 'X-Total-Count, Content-Type');
-    
-    // Try to get real data from database
-    if (mongoose.connection.readyState === 1) {
-      const query = {};
-      
-      // Apply filters
-      if (req.query.type && req.query.type !== 'all') {
-        query.type = req.query.type;
-      }
-      
-      if (req.query.city && req.query.city !== 'all') {
-        query.city = { $regex: req.query.city, $options: 'i' };
-      }
-      
-      if (req.query.search) {
-        query.$or = [
-          { name: { $regex: req.query.search, $options: 'i' } },
-          { address: { $regex: req.query.search, $options: 'i' } },
-          { city: { $regex: req.query.search, $options: 'i' } },
-          { description: { $regex: req.query.search, $options: 'i' } },
-          { locality: { $regex: req.query.search, $options: 'i' } }
-        ];
-      }
-      
-      if (req.query.admin !== 'true') {
-        query.published = true;
-      }
-      
-      const listings = await PGListing.find(query).sort({ createdAt: -1 }).limit(100);
-      
-      console.log(`✅ Found ${listings.length} REAL listings from MongoDB Atlas`);
-      
-      if (listings.length > 0) {
-        console.log('📊 Sample listings:', listings.slice(0, 3).map(l => ({
-          id: l._id,
-          name: l.name,
-          price: l.price,
-          city: l.city,
-          type: l.type
-        })));
-      }
-      
-      // Add CORS debug info to response
-      const responseData = {
-        success: true,
-        count: listings.length,
-        data: listings,
-        debug: {
-          timestamp: new Date().toISOString(),
-          origin: req.headers.origin || 'Direct',
-          database: 'MongoDB Atlas',
-          queryUsed: query,
-          cors: {
-            enabled: true,
-            origin: '*',
-            method: 'GET'
-          }
-        }
-      };
-      
-      return res.json(responseData);
-    }
-    
-    // If database not connected, return helpful error
-    console.log('⚠️ MongoDB not connected, returning error message');
-    
-    res.status(503).json({
-      success: false,
-      message: 'Database connection issue',
-      debug: {
-        databaseStatus: mongoose.connection.readyState,
-        timestamp: new Date().toISOString(),
-        cors: 'Enabled but database not connected'
-      },
-      suggestions: [
-        'Check MongoDB Atlas connection',
-        'Verify network connectivity',
-        'Check if database has PGs published'
-      ]
-    });
-    
-  } catch (error) {
-    console.error('❌ Error fetching listings:', error);
-    
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while fetching listings',
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-      debug: {
-        timestamp: new Date().toISOString(),
-        origin: req.headers.origin || 'Unknown',
-        cors: 'Enabled'
-      }
-    });
-  }
-});
-
-// GET single PG by ID
-app.get('/api/pg/:id', async (req, res) => {
-  try {
-    console.log(`🔍 GET /api/pg/${req.params.id}`);
-    console.log('Origin:', req.headers.origin || 'Direct');
-    
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    const listingId = req.params.id;
-    
-    if (!listingId || listingId === 'undefined') {
-      return res.status(400).json({
-        success: false,
-        message: 'PG ID is required'
-      });
-    }
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Database not connected',
-        cors: 'Enabled'
-      });
-    }
-    
-    let listing;
-    
-    // Try to find by ID
-    if (mongoose.Types.ObjectId.isValid(listingId)) {
-      listing = await PGListing.findById(listingId);
-    }
-    
-    // If not found by ID, try to find by name or other fields
-    if (!listing) {
-      listing = await PGListing.findOne({
-        $or: [
-          { name: { $regex: listingId, $options: 'i' } },
-          { slug: listingId }
-        ]
-      });
-    }
-    
-    if (!listing) {
-      return res.status(404).json({
-        success: false,
-        message: 'PG listing not found',
-        requestedId: listingId,
-        cors: 'Enabled'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: listing,
-      cors: {
-        origin: req.headers.origin || 'Direct',
-        allowed: true
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error fetching single PG:', error);
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message,
-      cors: 'Enabled'
-    });
-  }
-});
-
-// CREATE new PG listing
-app.post('/api/pg', async (req, res) => {
-  try {
-    console.log('➕ POST /api/pg');
-    console.log('Origin:', req.headers.origin || 'Direct');
-    console.log('Body length:', JSON.stringify(req.body).length);
-    
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Database not connected'
-      });
-    }
-    
-    // Validation
-    if (!req.body.name || !req.body.name.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'PG name is required'
-      });
-    }
-    
-    if (!req.body.price || isNaN(req.body.price)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid price is required'
-      });
-    }
-    
-    const listingData = {
-      name: req.body.name.trim(),
-      description: req.body.description || '',
-      city: req.body.city || 'Chandigarh',
-      locality: req.body.locality || '',
-      address: req.body.address || '',
-      price: Number(req.body.price),
-      type: req.body.type || 'boys',
-      images: Array.isArray(req.body.images) ? req.body.images : [],
-      gallery: Array.isArray(req.body.gallery) ? req.body.gallery : [],
-      googleMapLink: req.body.googleMapLink || '',
-      amenities: Array.isArray(req.body.amenities) ? req.body.amenities : [],
-      roomTypes: Array.isArray(req.body.roomTypes) ? req.body.roomTypes : ['Single', 'Double'],
-      distance: req.body.distance || '',
-      availability: req.body.availability || 'available',
-      location: req.body.location || { type: 'Point', coordinates: [0, 0] },
-      published: req.body.published !== undefined ? req.body.published : true,
-      verified: req.body.verified || false,
-      featured: req.body.featured || false,
-      rating: req.body.rating || 0,
-      reviewCount: req.body.reviewCount || 0,
-      ownerName: req.body.ownerName || '',
-      ownerPhone: req.body.ownerPhone || '',
-      ownerEmail: req.body.ownerEmail || '',
-      ownerId: req.body.ownerId || '',
-      contactEmail: req.body.contactEmail || '',
-      contactPhone: req.body.contactPhone || '',
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    const newListing = new PGListing(listingData);
-    const savedListing = await newListing.save();
-    
-    console.log(`✅ PG created: ${savedListing.name} (₹${savedListing.price})`);
-    
-    res.status(201).json({
-      success: true,
-      message: 'PG listing created successfully',
-      data: savedListing,
-      cors: {
-        origin: req.headers.origin || 'Direct',
-        allowed: true
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Error creating PG:', error);
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create PG listing',
-      error: error.message,
-      cors: 'Enabled'
-    });
-  }
-});
-
-// UPDATE PG listing
-app.put('/api/pg/:id', async (req, res) => {
-  try {
-    console.log(`✏️ PUT /api/pg/${req.params.id}`);
-    
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Database not connected'
-      });
-    }
-    
-    const listingId = req.params.id;
-    
-    if (!mongoose.Types.ObjectId.isValid(listingId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid listing ID format'
-      });
-    }
-    
-    const existingListing = await PGListing.findById(listingId);
-    if (!existingListing) {
-      return res.status(404).json({
-        success: false,
-        message: 'Listing not found'
-      });
-    }
-    
-    const updateData = {};
-    const fields = [
-      'name', 'description', 'city', 'locality', 'address', 'price', 'type',
-      'images', 'gallery', 'googleMapLink', 'amenities', 'roomTypes',
-      'distance', 'availability', 'location', 'published', 'verified',
-      'featured', 'rating', 'reviewCount', 'ownerName', 'ownerPhone',
-      'ownerEmail', 'ownerId', 'contactEmail', 'contactPhone'
-    ];
-    
-    fields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        if (field === 'price' || field === 'rating' || field === 'reviewCount') {
-          updateData[field] = Number(req.body[field]);
-        } else if (field === 'published' || field === 'verified' || field === 'featured') {
-          updateData[field] = Boolean(req.body[field]);
-        } else {
-          updateData[field] = req.body[field];
-        }
-      }
-    });
-    
-    updateData.updatedAt = new Date();
-    
-    const updatedListing = await PGListing.findByIdAndUpdate(
-      listingId,
-      { $set: updateData },
-      { new: true, runValidators: true }
-    );
-    
-    res.json({
-      success: true,
-      message: 'Listing updated successfully',
-      data: updatedListing
-    });
-    
-  } catch (error) {
-    console.error('❌ Error updating listing:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update listing',
-      error: error.message
-    });
-  }
-});
-
-// DELETE PG listing
-app.delete('/api/pg/:id', async (req, res) => {
-  try {
-    console.log(`🗑️ DELETE /api/pg/${req.params.id}`);
-    
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Database not connected'
-      });
-    }
-    
-    const listingId = req.params.id;
-    
-    if (!mongoose.Types.ObjectId.isValid(listingId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid listing ID format'
-      });
-    }
-    
-    const existingListing = await PGListing.findById(listingId);
-    if (!existingListing) {
-      return res.status(404).json({
-        success: false,
-        message: 'Listing not found'
-      });
-    }
-    
-    await PGListing.findByIdAndDelete(listingId);
-    
-    res.json({
-      success: true,
-      message: 'Listing deleted successfully'
-    });
-    
-  } catch (error) {
-    console.error('❌ Error deleting listing:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete listing',
-      error: error.message
-    });
-  }
-});
-
-// PATCH endpoints
-app.patch('/api/pg/:id/publish', async (req, res) => {
-  try {
-    const listingId = req.params.id;
-    const published = req.body.published;
-    
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Database not connected'
-      });
-    }
-    
-    if (!mongoose.Types.ObjectId.isValid(listingId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid listing ID format'
-      });
-    }
-    
-    const updatedListing = await PGListing.findByIdAndUpdate(
-      listingId,
-      { published: Boolean(published) },
-      { new: true }
-    );
-    
-    if (!updatedListing) {
-      return res.status(404).json({
-        success: false,
-        message: 'Listing not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: `Listing ${published ? 'published' : 'unpublished'} successfully`,
-      data: updatedListing
-    });
-    
-  } catch (error) {
-    console.error('Error toggling publish:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update listing',
-      error: error.message
-    });
-  }
-});
-
-app.patch('/api/pg/:id/feature', async (req, res) => {
-  try {
-    const listingId = req.params.id;
-    const featured = req.body.featured;
-    
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Database not connected'
-      });
-    }
-    
-    if (!mongoose.Types.ObjectId.isValid(listingId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid listing ID format'
-      });
-    }
-    
-    const updatedListing = await PGListing.findByIdAndUpdate(
-      listingId,
-      { featured: Boolean(featured) },
-      { new: true }
-    );
-    
-    if (!updatedListing) {
-      return res.status(404).json({
-        success: false,
-        message: 'Listing not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: `Listing ${featured ? 'featured' : 'unfeatured'} successfully`,
-      data: updatedListing
-    });
-    
-  } catch (error) {
-    console.error('Error toggling feature:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update listing',
-      error: error.message
-    });
-  }
-});
-
-app.patch('/api/pg/:id/verify', async (req, res) => {
-  try {
-    const listingId = req.params.id;
-    const verified = req.body.verified;
-    
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Database not connected'
-      });
-    }
-    
-    if (!mongoose.Types.ObjectId.isValid(listingId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid listing ID format'
-      });
-    }
-    
-    const updatedListing = await PGListing.findByIdAndUpdate(
-      listingId,
-      { verified: Boolean(verified) },
-      { new: true }
-    );
-    
-    if (!updatedListing) {
-      return res.status(404).json({
-        success: false,
-        message: 'Listing not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: `Listing ${verified ? 'verified' : 'unverified'} successfully`,
-      data: updatedListing
-    });
-    
-  } catch (error) {
-    console.error('Error toggling verify:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update listing',
-      error: error.message
-    });
-  }
-});
-
-// Add sample data endpoint
-app.post('/api/pg/sample-data', async (req, res) => {
-  try {
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Database not connected'
-      });
-    }
-    
-    const sampleListings = [
-      {
-        name: 'Royal Boys PG',
-        description: 'Luxurious boys PG with modern amenities near Chandigarh University',
-        city: 'Chandigarh',
-        address: 'Gate 2, CU Road',
-        price: 9000,
-        type: 'boys',
-        images: ['https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=800'],
-        amenities: ['WiFi', 'AC', 'Meals', 'Parking', 'Gym', 'Study Room'],
-        published: true,
-        verified: true,
-        featured: true,
-        rating: 4.7,
-        reviewCount: 56,
-        ownerName: 'Amit Verma',
-        ownerPhone: '9315058665',
-        contactPhone: '9315058665'
-      },
-      {
-        name: 'Sunshine Girls PG',
-        description: 'Safe and secure girls PG with 24/7 security and CCTV',
-        city: 'Chandigarh',
-        address: 'Library Road, CU',
-        price: 9500,
-        type: 'girls',
-        images: ['https://images.unsplash.com/photo-1560185127-6ed189bf02f4?w=800'],
-        amenities: ['WiFi', 'AC', 'Meals', 'CCTV', '24/7 Security', 'Hot Water'],
-        published: true,
-        verified: true,
-        featured: true,
-        rating: 4.8,
-        reviewCount: 89,
-        ownerName: 'Sunita Devi',
-        ownerPhone: '9315058665',
-        contactPhone: '9315058665'
-      }
-    ];
-    
-    const savedListings = [];
-    
-    for (const listing of sampleListings) {
-      const newListing = new PGListing(listing);
-      const saved = await newListing.save();
-      savedListings.push(saved);
-    }
-    
-    res.json({
-      success: true,
-      message: 'Sample data added successfully',
-      count: savedListings.length,
-      data: savedListings
-    });
-    
-  } catch (error) {
-    console.error('❌ Error adding sample data:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to add sample data',
-      error: error.message
-    });
-  }
-});
-
-// Search endpoint
-app.get('/api/search', async (req, res) => {
-  try {
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    const { city, type, minPrice, maxPrice, amenities } = req.query;
-    
-    let query = {};
-    
-    if (city && city !== 'all') query.city = { $regex: city, $options: 'i' };
-    if (type && type !== 'all') query.type = type;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
-    }
-    if (amenities) {
-      query.amenities = { $all: amenities.split(',') };
-    }
-    
-    query.published = true;
-    
-    const listings = await PGListing.find(query).sort({ featured: -1, rating: -1 });
-    
-    res.json({
-      success: true,
-      count: listings.length,
-      data: listings,
-      query: req.query
-    });
-    
-  } catch (error) {
-    console.error('❌ Search error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Search failed',
-      error: error.message
-    });
-  }
-});
-
-// Stats endpoint
-app.get('/api/stats', async (req, res) => {
-  try {
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    
-    if (mongoose.connection.readyState !== 1) {
-      return res.json({
-        success: true,
-        data: {
-          totalPGs: 0,
-          boysPGs: 0,
-          girlsPGs: 0,
-          coedPGs: 0,
-          featuredPGs: 0,
-          verifiedPGs: 0,
-          avgPrice: 0,
-          lastUpdated: new Date().toISOString(),
-          message: 'Database not connected'
-        }
-      });
-    }
-    
-    const totalPGs = await PGListing.countDocuments({ published: true });
-    const boysPGs = await PGListing.countDocuments({ type: 'boys', published: true });
-    const girlsPGs = await PGListing.countDocuments({ type: 'girls', published: true });
-    const coedPGs = await PGListing.countDocuments({ type: 'co-ed', published: true });
-    const featuredPGs = await PGListing.countDocuments({ featured: true, published: true });
-    const verifiedPGs = await PGListing.countDocuments({ verified: true, published: true });
-    
-    const avgPriceResult = await PGListing.aggregate([
-      { $match: { published: true } },
-      { $group: { _id: null, avgPrice: { $avg: "$price" } } }
-    ]);
-    
-    const avgPrice = avgPriceResult.length > 0 ? Math.round(avgPriceResult[0].avgPrice) : 0;
-    
-    res.json({
-      success: true,
-      data: {
-        totalPGs,
-        boysPGs,
-        girlsPGs,
-        coedPGs,
-        featuredPGs,
-        verifiedPGs,
-        avgPrice,
-        lastUpdated: new Date().toISOString(),
-        cors: {
-          origin: req.headers.origin || 'Direct',
-          allowed: true
-        }
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get stats',
-      error: error.message
-    });
-  }
-});
+// ================ PUBLIC SEARCH & STATS ================
+// Short aliases of the /api/pg search and public statistics
+app.get('/api/search', requireDatabase, searchPGListings);
+app.use('/api/search', requireDatabase, searchRoutes);
+app.get('/api/stats', requireDatabase, getPublicStats);
 
 // CORS test endpoint
 app.get('/api/cors-test', (req, res) => {
@@ -953,6 +272,30 @@ app.get('/api/cors-test', (req, res) => {
   });
 });
 
+// ================ FEATURE ROUTERS ================
+
+// Answer 503 right away instead of buffering queries while MongoDB is down
+function requireDatabase(req, res, next) {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database not connected'
+    });
+  }
+  next();
+}
+
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/owner', ownerRoutes);
+app.use('/api/pg', requireDatabase, pgRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+
 // ================ ERROR HANDLERS ================
 app.use((err, req, res, next) => {
   console.error('🚨 Global Error Handler:', err.message);
@@ -992,9 +335,17 @@ app.all('*', (req, res) => {
       'GET  /api/pg/:id',
       'PUT  /api/pg/:id',
       'DELETE /api/pg/:id',
+      'GET  /api/pg/search',
+      'GET  /api/pg/nearby',
       'GET  /api/search',
       'GET  /api/stats',
-      'GET  /api/cors-test'
+      'GET  /api/cors-test',
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'GET  /api/auth/profile',
+      'POST /api/bookings',
+      'GET  /api/bookings/mybookings',
+      'PUT  /api/bookings/:id/status'
     ],
     cors: 'Enabled for all origins'
   });
@@ -1028,6 +379,8 @@ const server = app.listen(PORT, () => {
 process.on('SIGINT', () => {
   console.log('\n👋 Shutting down gracefully...');
   
+  jobRunner.stopJobs();
+  
   server.close(() => {
     console.log('✅ HTTP server closed');
     mongoose.connection.close(false, () => {
@@ -0,0 +1,208 @@
+const Payment = require('../models/Payment');
+const PGListing = require('../models/PGListing');
+const { resolvePolicy, WAIVED_POLICY } = require('../config/cancellationPolicies');
+const { refundableAmount, issueRefund } = require('./payments/refunds');
+const { addMonths } = require('./dates');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Money the tenant has in the booking, net of earlier refunds.
+// Adjustments count as rent, as they do for the rent schedule.
+const netPaid = (entries) => {
+  const captured = entries.filter(entry => entry.status === 'captured');
+  const kindOf = new Map(captured.map(entry => [entry._id.toString(), entry.kind]));
+  const paid = { deposit: 0, rent: 0 };
+
+  captured.forEach(entry => {
+    if (entry.kind === 'deposit') paid.deposit += entry.amount;
+    if (entry.kind === 'rent' || entry.kind === 'adjustment') paid.rent += entry.amount;
+  });
+
+  // Refunds still in flight are already promised back
+  entries
+    .filter(entry => entry.kind === 'refund' && entry.status !== 'failed' && entry.refundOf)
+    .forEach(entry => {
+      const kind = kindOf.get(entry.refundOf.toString());
+      if (kind === 'deposit' || kind === 'rent') paid[kind] -= entry.amount;
+    });
+
+  return { deposit: Math.max(paid.deposit, 0), rent: Math.max(paid.rent, 0) };
+};
+
+// Work out what a cancellation at `now` refunds under the given rules.
+// Pure: no database access, so it also serves the preview endpoint.
+const quoteCancellation = ({ booking, policy, entries, now = new Date() }) => {
+  const paid = netPaid(entries);
+  const startDate = new Date(booking.startDate);
+  const round = (amount) => Math.round(amount);
+
+  // Before move-in: everything back early enough, a share of it later
+  if (now < startDate) {
+    const daysBeforeMoveIn = Math.floor((startDate - now) / DAY);
+    const percent = daysBeforeMoveIn >= policy.fullRefundDaysBeforeMoveIn ? 100 : policy.lateCancellationRefundPercent;
+    const deposit = round(paid.deposit * percent / 100);
+    const rent = round(paid.rent * percent / 100);
+
+    return {
+      stage: 'before-move-in',
+      policy,
+      daysBeforeMoveIn,
+      refundPercent: percent,
+      effectiveDate: now,
+      paid,
+      rentCharged: 0,
+      rentOwed: 0,
+      refund: { deposit, rent, total: deposit + rent },
+      retained: { deposit: paid.deposit - deposit, rent: paid.rent - rent }
+    };
+  }
+
+  // After move-in: rent runs to the end of the notice period, month by month
+  const endDate = booking.endDate ? new Date(booking.endDate) : addMonths(startDate, booking.duration);
+  const effectiveDate = new Date(Math.min(now.getTime() + policy.noticePeriodDays * DAY, endDate.getTime()));
+
+  let monthsCharged = 0;
+  while (monthsCharged < booking.duration && addMonths(startDate, monthsCharged) < effectiveDate) {
+    monthsCharged++;
+  }
+  monthsCharged = Math.max(monthsCharged, 1);
+
+  const rentCharged = monthsCharged * booking.monthlyRent;
+  const rent = Math.max(paid.rent - rentCharged, 0);
+  const deposit = policy.forfeitDepositAfterMoveIn ? 0 : paid.deposit;
+
+  return {
+    stage: 'after-move-in',
+    policy,
+    noticePeriodDays: policy.noticePeriodDays,
+    effectiveDate,
+    paid,
+    monthsCharged,
+    rentCharged,
+    rentOwed: Math.max(rentCharged - paid.rent, 0),
+    refund: { deposit, rent, total: deposit + rent },
+    retained: { deposit: paid.deposit - deposit, rent: paid.rent - rent }
+  };
+};
+
+// Load what a quote needs. Owner/staff cancellations waive the policy.
+const prepareQuote = async (booking, { waivePolicy = false, now = new Date() } = {}) => {
+  const [listing, entries] = await Promise.all([
+    PGListing.findById(booking.pgListing).select('cancellationPolicy'),
+    Payment.find({ booking: booking._id })
+  ]);
+
+  const policy = waivePolicy ? WAIVED_POLICY : resolvePolicy(listing && listing.cancellationPolicy);
+  return { quote: quoteCancellation({ booking, policy, entries, now }), entries };
+};
+
+// Pay `amount` of one kind back against the tenant's captured gateway
+// payments, newest first. Whatever cannot go back through the gateway (cash
+// adjustments, gateway errors) is recorded as a pending manual refund.
+const refundKind = async (booking, entries, kind, amount, { reason, actor }) => {
+  const refunds = [];
+  let remaining = amount;
+
+  const payments = entries
+    .filter(entry => entry.kind === kind && entry.status === 'captured' && entry.gatewayPaymentId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+
+    const share = Math.min(remaining, await refundableAmount(payment));
+    if (share <= 0) continue;
+
+    try {
+      refunds.push(await issueRefund(payment, share, { reason, actor }));
+      remaining -= share;
+    } catch (error) {
+      console.error(`❌ Cancellation refund against ${payment._id} failed:`, error.message);
+    }
+  }
+
+  if (remaining > 0) {
+    refunds.push(await Payment.create({
+      booking: booking._id,
+      user: booking.user,
+      pgListing: booking.pgListing,
+      kind: 'refund',
+      amount: remaining,
+      note: `Manual payout required (${kind})${reason ? `: ${reason}` : ''}`,
+      createdBy: actor ? actor._id : null
+    }));
+  }
+
+  return refunds;
+};
+
+// Cancel a booking under its listing's policy: settle the status, record the
+// breakdown on the booking and issue the refunds. The booking is saved first,
+// so a concurrent change (VersionError) aborts before any money moves.
+const cancelBooking = async (booking, actor, { reason = '', initiatedBy = 'tenant' } = {}) => {
+  const { quote, entries } = await prepareQuote(booking, { waivePolicy: initiatedBy !== 'tenant' });
+
+  booking.transitionTo('cancelled', actor, reason);
+  booking.cancellation = {
+    initiatedBy,
+    reason,
+    cancelledAt: new Date(),
+    effectiveDate: quote.effectiveDate,
+    policy: quote.policy,
+    breakdown: {
+      stage: quote.stage,
+      paid: quote.paid,
+      rentCharged: quote.rentCharged,
+      rentOwed: quote.rentOwed,
+      refund: quote.refund,
+      retained: quote.retained
+    }
+  };
+  await booking.save();
+
+  const refunds = [
+    ...await refundKind(booking, entries, 'deposit', quote.refund.deposit, { reason, actor }),
+    ...await refundKind(booking, entries, 'rent', quote.refund.rent, { reason, actor })
+  ];
+
+  return { booking, quote, refunds };
+};
+
+// Close a booking that never started (a rejected request or an expired hold)
+// and give back everything the tenant paid for it; no policy applies. As in
+// cancelBooking, the booking is saved before any money moves.
+const closeUnstartedBooking = async (booking, status, actor, note = '') => {
+  booking.transitionTo(status, actor, note);
+  await booking.save();
+
+  const entries = await Payment.find({ booking: booking._id });
+  const paid = netPaid(entries);
+  const reason = note || `Booking ${status}`;
+
+  const refunds = [
+    ...await refundKind(booking, entries, 'deposit', paid.deposit, { reason, actor }),
+    ...await refundKind(booking, entries, 'rent', paid.rent, { reason, actor })
+  ];
+
+  return { booking, refunds };
+};
+
+// A payment captured after its booking closed (checkout finished after the
+// hold expired, or after a cancellation was settled) goes straight back
+const refundLateCapture = async (payment, booking) => {
+  const amount = await refundableAmount(payment);
+  if (amount <= 0) return [];
+
+  return refundKind(booking, [payment], payment.kind, amount, {
+    reason: `Payment received after the booking was ${booking.status}`,
+    actor: null
+  });
+};
+
+module.exports = {
+  quoteCancellation,
+  prepareQuote,
+  cancelBooking,
+  closeUnstartedBooking,
+  refundLateCapture
+};
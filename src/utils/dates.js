@@ -0,0 +1,20 @@
+// Calendar helpers shared by bookings, rent schedules and cancellations
+
+// The same day `months` later, clamped to the end of shorter months: a stay
+// starting Jan 31 runs to Feb 28 (or 29), then Mar 31. Date#setMonth alone
+// would roll Feb 31 over into March.
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+
+  const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, daysInMonth));
+  return result;
+};
+
+module.exports = {
+  addMonths
+};
@@ -1,24 +1,43 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id, role = 'user') => {
+// Access tokens are short-lived; refresh tokens keep the session alive
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+
+const generateToken = (id, role = 'user', sessionId) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not defined in environment variables');
   }
 
   return jwt.sign(
-    { 
-      id, 
-      role 
+    {
+      id,
+      role,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '30d',
+      expiresIn: ACCESS_TOKEN_EXPIRE,
       issuer: 'pg-finder-api',
       audience: 'pg-finder-client'
     }
   );
 };
 
+// Opaque refresh token; only its hash is stored server-side
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+};
+
 // Verify token function
 const verifyToken = (token) => {
   if (!process.env.JWT_SECRET) {
@@ -41,8 +60,11 @@ const decodeToken = (token) => {
   }
 };
 
-module.exports = { 
-  generateToken, 
-  verifyToken, 
-  decodeToken 
-};
\ No newline at end of file
+module.exports = {
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenExpiry,
+  verifyToken,
+  decodeToken
+};
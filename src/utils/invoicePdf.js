@@ -0,0 +1,139 @@
+const PDFDocument = require('pdfkit');
+
+// The built-in PDF fonts have no ₹ glyph
+const money = (amount) => `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+const partyLines = (party, { withTaxIds }) => [
+  party.address,
+  party.state && `State: ${party.state}${party.stateCode ? ` (${party.stateCode})` : ''}`,
+  withTaxIds && party.gstin && `GSTIN: ${party.gstin}`,
+  withTaxIds && party.pan && `PAN: ${party.pan}`,
+  party.email,
+  party.phone
+].filter(Boolean);
+
+// Render an invoice or receipt to a PDF buffer, entirely in-process
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${invoice.title} ${invoice.number}` } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text(invoice.title.toUpperCase(), { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10)
+    .text(`No: ${invoice.number}`, { continued: true })
+    .text(`Date: ${formatDate(invoice.issueDate)}`, { align: 'right' });
+  if (invoice.invoiceNumber) {
+    doc.text(`Against invoice: ${invoice.invoiceNumber}`);
+  }
+  doc.moveDown();
+
+  // Parties
+  const top = doc.y;
+  const column = width / 2 - 10;
+
+  doc.font('Helvetica-Bold').text('From', left, top, { width: column });
+  doc.font('Helvetica').text(invoice.seller.name, { width: column });
+  partyLines(invoice.seller, { withTaxIds: true }).forEach(line => doc.text(line, { width: column }));
+  const sellerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('To', left + width / 2, top, { width: column });
+  doc.font('Helvetica').text(invoice.buyer.name, { width: column });
+  partyLines(invoice.buyer, { withTaxIds: false }).forEach(line => doc.text(line, { width: column }));
+
+  doc.y = Math.max(sellerBottom, doc.y);
+  doc.x = left;
+  doc.moveDown();
+
+  doc.text(`Property: ${invoice.property.name}${invoice.property.address ? `, ${invoice.property.address}` : ''}`, left, doc.y, { width });
+  if (invoice.kind === 'invoice') {
+    doc.text(`Place of supply: ${invoice.placeOfSupply}`);
+  }
+  if (invoice.period) {
+    doc.text(`Period: ${invoice.period}`);
+  }
+  doc.moveDown();
+
+  // Line items
+  const columns = [
+    { label: 'Description', x: left, width: width * 0.5 },
+    { label: 'SAC', x: left + width * 0.5, width: width * 0.12 },
+    { label: 'Qty', x: left + width * 0.62, width: width * 0.08, align: 'right' },
+    { label: 'Rate', x: left + width * 0.7, width: width * 0.15, align: 'right' },
+    { label: 'Amount', x: left + width * 0.85, width: width * 0.15, align: 'right' }
+  ];
+
+  const row = (values, font) => {
+    const y = doc.y;
+    doc.font(font);
+    const heights = columns.map((col, index) => doc.heightOfString(values[index], { width: col.width }));
+    columns.forEach((col, index) => doc.text(values[index], col.x, y, { width: col.width, align: col.align || 'left' }));
+    doc.x = left;
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  row(columns.map(col => col.label), 'Helvetica-Bold');
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(0.3);
+
+  invoice.lineItems.forEach(item => {
+    row([item.description, item.sac || '-', String(item.quantity), money(item.rate), money(item.amount)], 'Helvetica');
+  });
+
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  // Totals
+  const totals = [];
+  if (invoice.kind === 'invoice') {
+    totals.push(['Taxable value', invoice.taxableValue]);
+    if (invoice.gst.igst > 0) {
+      totals.push([`IGST @ ${invoice.gst.rate}%`, invoice.gst.igst]);
+    } else if (invoice.gst.total > 0) {
+      totals.push([`CGST @ ${invoice.gst.rate / 2}%`, invoice.gst.cgst]);
+      totals.push([`SGST @ ${invoice.gst.rate / 2}%`, invoice.gst.sgst]);
+    }
+  }
+  totals.push([invoice.kind === 'invoice' ? 'Total' : 'Amount received', invoice.total]);
+
+  totals.forEach(([label, amount], index) => {
+    const y = doc.y;
+    doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, left + width * 0.5, y, { width: width * 0.35, align: 'right' });
+    doc.text(money(amount), left + width * 0.85, y, { width: width * 0.15, align: 'right' });
+  });
+
+  doc.x = left;
+  doc.moveDown();
+  doc.font('Helvetica').text(invoice.amountInWords, left, doc.y, { width });
+
+  if (invoice.kind === 'invoice' && !invoice.seller.gstin) {
+    doc.moveDown(0.5).text('Supplier not registered under GST; no tax charged.', { width });
+  }
+
+  const reference = invoice.paymentReference || {};
+  if (reference.gatewayPaymentId || reference.paidAt) {
+    doc.moveDown(0.5).text([
+      reference.paidAt && `Paid on ${formatDate(reference.paidAt)}`,
+      reference.gateway && `via ${reference.gateway}`,
+      reference.gatewayPaymentId && `(ref. ${reference.gatewayPaymentId})`
+    ].filter(Boolean).join(' '), { width });
+  }
+
+  doc.moveDown(2).fontSize(8).fillColor('#666666')
+    .text('This is a computer-generated document and does not require a signature.', { width, align: 'center' });
+
+  doc.end();
+});
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const PGListing = require('../models/PGListing');
+const User = require('../models/User');
+const { amountInWords } = require('./numberToWords');
+
+// SAC for accommodation services in hostels, PGs and similar establishments
+const ACCOMMODATION_SAC = '996311';
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Indian financial year (April–March) a date falls in, e.g. "2026-27"
+const financialYear = (date) => {
+  const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// Split a tax-inclusive amount. The property decides the place of supply, so
+// tax is CGST + SGST when the owner is registered in the property's state and
+// IGST otherwise.
+const splitGst = (total, rate, { intraState }) => {
+  if (!rate) {
+    return { taxableValue: round2(total), gst: { rate: 0, cgst: 0, sgst: 0, igst: 0, total: 0 } };
+  }
+
+  const taxableValue = round2(total * 100 / (100 + rate));
+  const tax = round2(total - taxableValue);
+  const cgst = intraState ? round2(tax / 2) : 0;
+
+  return {
+    taxableValue,
+    gst: {
+      rate,
+      cgst,
+      sgst: intraState ? round2(tax - cgst) : 0,
+      igst: intraState ? 0 : tax,
+      total: tax
+    }
+  };
+};
+
+const sellerOf = (owner) => {
+  const billing = owner.billing || {};
+  return {
+    name: billing.legalName || owner.name,
+    address: billing.address || '',
+    state: billing.state || '',
+    stateCode: billing.stateCode || '',
+    pan: billing.pan || '',
+    gstin: billing.gstin || '',
+    email: owner.email,
+    phone: owner.phone || ''
+  };
+};
+
+// Take the next number and save the document in one transaction. The
+// unique payment + kind index claims the document's slot: when the insert
+// fails (issued concurrently, or any other error) the transaction aborts and
+// the number goes back, so the series has no gaps.
+const createNumbered = async (owner, kind, issueDate, fields) => {
+  const billing = owner.billing || {};
+  const prefix = kind === 'invoice' ? billing.invoicePrefix || 'INV' : billing.receiptPrefix || 'RCPT';
+  const fy = financialYear(issueDate);
+  const session = await mongoose.startSession();
+
+  try {
+    let document;
+
+    await session.withTransaction(async () => {
+      const seq = await Counter.next(`${kind}:${owner._id}:${fy}`, { session });
+      [document] = await Invoice.create([{
+        ...fields,
+        kind,
+        fy,
+        issueDate,
+        number: `${prefix}/${fy}/${String(seq).padStart(4, '0')}`
+      }], { session });
+    });
+
+    return document;
+  } catch (error) {
+    // Issued concurrently by another request
+    if (error.code === 11000) {
+      return Invoice.findOne({ payment: fields.payment, kind });
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const markIssued = async (payment) => {
+  payment.documentsIssuedAt = new Date();
+  await Payment.updateOne({ _id: payment._id }, { documentsIssuedAt: payment.documentsIssuedAt });
+};
+
+// Issue the documents a captured payment is owed: rent gets a tax invoice (a
+// bill of supply when the owner has no GSTIN) and a receipt, a deposit only a
+// receipt since it is held, not charged. Refunds and adjustments are
+// corrections to the ledger and get no documents. Idempotent; the payment is
+// marked once nothing is left to issue.
+const issueDocuments = async (payment) => {
+  if (payment.status !== 'captured' || !['rent', 'deposit'].includes(payment.kind)) {
+    return [];
+  }
+
+  const existing = await Invoice.find({ payment: payment._id });
+  const wanted = payment.kind === 'rent' ? ['invoice', 'receipt'] : ['receipt'];
+  if (wanted.every(kind => existing.some(doc => doc.kind === kind))) {
+    if (!payment.documentsIssuedAt) await markIssued(payment);
+    return existing;
+  }
+
+  const listing = await PGListing.findById(payment.pgListing).select('name address city owner');
+  if (!listing || !listing.owner) {
+    // Listings run by the platform itself have no owner to invoice as
+    await markIssued(payment);
+    return existing;
+  }
+
+  const [owner, tenant] = await Promise.all([
+    User.findById(listing.owner),
+    User.findById(payment.user)
+  ]);
+  if (!owner || !tenant) return existing;
+
+  const seller = sellerOf(owner);
+  const issueDate = payment.capturedAt || payment.updatedAt;
+  const billing = owner.billing || {};
+  const rate = seller.gstin ? billing.gstRate || 0 : 0;
+  const placeOfSupply = seller.state
+    ? `${seller.state}${seller.stateCode ? ` (${seller.stateCode})` : ''}`
+    : listing.city;
+
+  const common = {
+    owner: owner._id,
+    booking: payment.booking,
+    payment: payment._id,
+    user: tenant._id,
+    pgListing: listing._id,
+    seller,
+    buyer: { name: tenant.name, email: tenant.email, phone: tenant.phone || '' },
+    property: { name: listing.name, address: [listing.address, listing.city].filter(Boolean).join(', ') },
+    placeOfSupply,
+    period: payment.period,
+    currency: payment.currency,
+    amountInWords: amountInWords(payment.amount),
+    paymentReference: {
+      kind: payment.kind,
+      gateway: payment.gateway,
+      gatewayPaymentId: payment.gatewayPaymentId,
+      paidAt: issueDate
+    }
+  };
+
+  const documents = [...existing];
+  let invoice = existing.find(doc => doc.kind === 'invoice');
+
+  if (payment.kind === 'rent' && !invoice) {
+    const { taxableValue, gst } = splitGst(payment.amount, rate, {
+      intraState: !seller.gstin || !seller.stateCode || seller.gstin.startsWith(seller.stateCode)
+    });
+
+    invoice = await createNumbered(owner, 'invoice', issueDate, {
+      ...common,
+      title: seller.gstin ? 'Tax Invoice' : 'Bill of Supply',
+      lineItems: [{
+        description: `Accommodation at ${listing.name}${payment.period ? ` for ${payment.period}` : ''}`,
+        sac: ACCOMMODATION_SAC,
+        quantity: 1,
+        rate: taxableValue,
+        amount: taxableValue
+      }],
+      taxableValue,
+      gst,
+      total: payment.amount
+    });
+    documents.push(invoice);
+  }
+
+  if (!existing.some(doc => doc.kind === 'receipt')) {
+    const description = payment.kind === 'rent'
+      ? `Rent received${payment.period ? ` for ${payment.period}` : ''}`
+      : 'Security deposit received (refundable)';
+
+    documents.push(await createNumbered(owner, 'receipt', issueDate, {
+      ...common,
+      title: payment.kind === 'rent' ? 'Rent Receipt' : 'Deposit Receipt',
+      lineItems: [{ description, quantity: 1, rate: payment.amount, amount: payment.amount }],
+      taxableValue: payment.amount,
+      total: payment.amount,
+      invoiceNumber: invoice ? invoice.number : null
+    }));
+  }
+
+  await markIssued(payment);
+
+  console.log(`🧾 Issued documents for payment ${payment._id}`);
+  return documents;
+};
+
+// Issue what is still missing for captured payments: those whose issue
+// failed on the webhook, and those captured before invoicing existed.
+// A failing payment is logged and retried on the next run. Returns how many
+// payments were completed.
+const issueMissingDocuments = async () => {
+  const payments = await Payment.find({
+    kind: { $in: ['rent', 'deposit'] },
+    status: 'captured',
+    documentsIssuedAt: null
+  }).sort({ capturedAt: 1 });
+  let issued = 0;
+
+  for (const payment of payments) {
+    try {
+      await issueDocuments(payment);
+      issued++;
+    } catch (error) {
+      console.error(`❌ Issuing documents for payment ${payment._id} failed:`, error.message);
+    }
+  }
+
+  return issued;
+};
+
+module.exports = {
+  financialYear,
+  splitGst,
+  issueDocuments,
+  issueMissingDocuments
+};
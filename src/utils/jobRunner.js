@@ -0,0 +1,71 @@
+// Minimal in-process scheduler for recurring background jobs.
+//
+// Each job runs on its own interval; a run is skipped while the previous
+// one is still in progress. Timers are injectable so tests can drive jobs
+// by hand (runJob) or with fake timers.
+const createJobRunner = ({ timers = { setInterval, clearInterval }, logger = console } = {}) => {
+  const jobs = new Map();
+
+  const registerJob = (name, intervalMs, handler) => {
+    if (jobs.has(name)) {
+      throw new Error(`Job '${name}' is already registered`);
+    }
+    jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null });
+  };
+
+  const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job '${name}'`);
+    }
+    if (job.running) {
+      return null;
+    }
+
+    job.running = true;
+    try {
+      const result = await job.handler();
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`❌ Job '${name}' failed:`, error.message);
+      return null;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  };
+
+  const startJobs = () => {
+    jobs.forEach(job => {
+      if (job.timer) return;
+      job.timer = timers.setInterval(() => runJob(job.name), job.intervalMs);
+      if (job.timer && job.timer.unref) job.timer.unref();
+    });
+    logger.log(`⏱️ Started ${jobs.size} background job(s)`);
+  };
+
+  const stopJobs = () => {
+    jobs.forEach(job => {
+      if (job.timer) {
+        timers.clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+  };
+
+  const listJobs = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name, intervalMs, running, lastRunAt, lastError
+  }));
+
+  return { registerJob, runJob, startJobs, stopJobs, listJobs };
+};
+
+// Shared runner used by the server
+const jobRunner = createJobRunner();
+
+module.exports = {
+  createJobRunner,
+  jobRunner
+};
@@ -0,0 +1,119 @@
+const Wishlist = require('../models/Wishlist');
+const ListingAlert = require('../models/ListingAlert');
+const notify = require('./notify');
+const { listingAlert } = require('./mail/templates');
+
+// Wishlist item setting that opts in to each alert kind
+const ALERT_SETTINGS = {
+  'price-drop': 'priceDrop',
+  vacancy: 'vacancy',
+  'new-room-type': 'newRoomType'
+};
+
+// The listing fields alerts watch, taken before an update
+const alertSnapshot = (listing) => ({
+  price: listing.price,
+  availability: listing.availability,
+  roomTypes: Array.from(listing.roomTypes || [])
+});
+
+// Changes between two snapshots that users can be alerted about.
+// `value` tells repeated changes apart for de-duplication.
+const detectListingChanges = (before, after) => {
+  const changes = [];
+
+  if (typeof before.price === 'number' && typeof after.price === 'number' && after.price < before.price) {
+    changes.push({
+      kind: 'price-drop',
+      value: String(after.price),
+      details: { from: before.price, to: after.price }
+    });
+  }
+
+  if (before.availability === 'full' && after.availability === 'available') {
+    changes.push({ kind: 'vacancy', details: {} });
+  }
+
+  const known = new Set(before.roomTypes.map(type => type.toLowerCase()));
+  const added = after.roomTypes.filter(type => !known.has(type.toLowerCase()));
+  if (added.length > 0) {
+    changes.push({
+      kind: 'new-room-type',
+      value: added.map(type => type.toLowerCase()).sort().join(','),
+      details: { roomTypes: added }
+    });
+  }
+
+  return changes;
+};
+
+// Alert the users who wishlisted the listing and opted in, comparing it with
+// the snapshot taken before the update. Instant alerts go out as one
+// notification per user; daily ones wait for the digest job.
+// Best effort: the update is already saved, so errors are only logged.
+// Returns how many alerts were recorded.
+const sendListingAlerts = async (before, listing) => {
+  if (!before || !listing || !listing.published) return 0;
+
+  const changes = detectListingChanges(before, alertSnapshot(listing));
+  if (changes.length === 0) return 0;
+
+  try {
+    const wishlists = await Wishlist.find({ 'collections.items.pgListing': listing._id })
+      .populate('user', 'name email status');
+    let recorded = 0;
+
+    for (const wishlist of wishlists) {
+      if (!wishlist.user) continue;
+
+      const settings = wishlist.alertsFor(listing._id);
+      const wanted = changes.filter(change => settings[ALERT_SETTINGS[change.kind]]);
+      const alerts = [];
+
+      for (const change of wanted) {
+        const alert = await ListingAlert.record({
+          ...change,
+          user: wishlist.user._id,
+          pgListing: listing._id,
+          delivery: wishlist.alertDelivery
+        });
+        if (alert) alerts.push(alert);
+      }
+
+      recorded += alerts.length;
+      if (alerts.length === 0 || wishlist.alertDelivery !== 'instant') continue;
+
+      const mail = listingAlert(wishlist.user, listing, alerts);
+      const notification = await notify(wishlist.user, {
+        type: 'wishlist.alert',
+        title: mail.subject,
+        message: mail.message,
+        link: `/pg/${listing._id}`,
+        data: {
+          pgListing: listing._id,
+          alerts: alerts.map(alert => ({ kind: alert.kind, details: alert.details }))
+        },
+        mail
+      });
+
+      await ListingAlert.updateMany(
+        { _id: { $in: alerts.map(alert => alert._id) } },
+        { deliveredAt: new Date(), notification: notification ? notification._id : null }
+      );
+    }
+
+    if (recorded > 0) {
+      console.log(`🔔 Recorded ${recorded} wishlist alert(s) for ${listing.name}`);
+    }
+    return recorded;
+  } catch (error) {
+    console.error(`❌ Failed to send wishlist alerts for ${listing.name}:`, error.message);
+    return 0;
+  }
+};
+
+module.exports = {
+  alertSnapshot,
+  detectListingChanges,
+  sendListingAlerts
+};
@@ -0,0 +1,421 @@
+const PGListing = require('../models/PGListing');
+const { REVIEW_CATEGORIES } = require('../config/constants');
+
+// Ranking: score = relevance × (1 + boosts). Relevance is the text score, so
+// a better match still wins; the boosts order listings that match about as
+// well. rating is scaled by rating / 5, freshness fades out over
+// FRESHNESS_DAYS after the listing was created.
+const SEARCH_BOOSTS = {
+  featured: 0.3,
+  verified: 0.2,
+  rating: 0.3,
+  freshness: 0.2
+};
+const FRESHNESS_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields the fuzzy fallback looks at (the text index also covers description)
+const FUZZY_FIELDS = ['name', 'locality', 'address', 'city'];
+// Shorter words are skipped, except numbers (Phase 7, Sector 5)
+const MIN_FUZZY_TOKEN_LENGTH = 2;
+const MAX_FUZZY_TOKENS = 5;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'price', 'rating', 'reviewCount', 'name', 'featured'];
+
+// Review sub-ratings: sort=-foodRating, sort=ownerBehaviourRating, ...
+const SUB_RATING_SORTS = REVIEW_CATEGORIES.reduce((sorts, category) => {
+  sorts[`${category}Rating`] = `subRatings.${category}.average`;
+  return sorts;
+}, {});
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const parsePagination = ({ page = 1, limit = DEFAULT_PAGE_SIZE }) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// "-price,rating" -> { price: -1, rating: 1 }, ignoring unknown fields
+const parseSort = (sort, fallback = { createdAt: -1 }) => {
+  const sortBy = {};
+  String(sort || '').split(',').forEach(part => {
+    const field = part.trim().replace(/^-/, '');
+    const path = SUB_RATING_SORTS[field] || (SORTABLE_FIELDS.includes(field) ? field : null);
+    if (path) {
+      sortBy[path] = part.trim().startsWith('-') ? -1 : 1;
+    }
+  });
+  return Object.keys(sortBy).length > 0 ? sortBy : fallback;
+};
+
+// minRating and min<Category> lower bounds (minFood=4, minOwnerBehaviour=3.5);
+// a listing nobody has rated in a category (average 0) never matches that
+// category's filter
+const buildRatingFilter = (params) => {
+  const filter = {};
+
+  if (params.minRating) filter.rating = { $gte: Number(params.minRating) };
+
+  REVIEW_CATEGORIES.forEach(category => {
+    const min = params[`min${capitalize(category)}`];
+    if (min) filter[`subRatings.${category}.average`] = { $gte: Number(min) };
+  });
+
+  return filter;
+};
+
+// Query for published listings matching the /api/search filters (location,
+// city, type, minPrice, maxPrice, amenities and rating bounds). The search
+// text itself goes through searchListings. Saved searches use the same filter.
+const buildListingFilter = (params) => {
+  const { location, city, type, minPrice, maxPrice } = params;
+  const amenities = Array.isArray(params.amenities)
+    ? params.amenities
+    : String(params.amenities || '').split(',').filter(Boolean);
+
+  const conditions = [{ published: true }];
+
+  if (location) {
+    conditions.push({
+      $or: [
+        { address: { $regex: location, $options: 'i' } },
+        { locality: { $regex: location, $options: 'i' } },
+        { city: { $regex: location, $options: 'i' } }
+      ]
+    });
+  }
+
+  if (city && city !== 'all') conditions.push({ city: { $regex: city, $options: 'i' } });
+  if (type && type !== 'all') conditions.push({ type });
+  if (amenities.length > 0) conditions.push({ amenities: { $all: amenities } });
+
+  if (minPrice || maxPrice) {
+    const price = {};
+    if (minPrice) price.$gte = Number(minPrice);
+    if (maxPrice) price.$lte = Number(maxPrice);
+    conditions.push({ price });
+  }
+
+  const ratingFilter = buildRatingFilter(params);
+  if (Object.keys(ratingFilter).length > 0) conditions.push(ratingFilter);
+
+  return { $and: conditions };
+};
+
+// Spellings of romanised Hindi/Punjabi place names vary: Kharar/Kharaar,
+// Balongi/Balongee, Dhakoli/Dakoli, Zirakpur/Jirakpur, Phase/Fase. A token is
+// reduced to a plain form, then every letter of it is allowed its variants.
+const plainSpelling = (token) => token
+  .replace(/ph/g, 'f')
+  .replace(/([kgcjtdpbs])h/g, '$1')
+  .replace(/ck|q/g, 'k')
+  .replace(/w/g, 'v')
+  .replace(/z/g, 'j')
+  .replace(/ee|y$/g, 'i')
+  .replace(/oo/g, 'u')
+  .replace(/([a-z])\1+/g, '$1');
+
+const LETTER_VARIANTS = {
+  a: 'a{1,2}',
+  e: 'e{1,2}',
+  o: 'o{1,2}',
+  i: '(?:i{1,2}|ee|y)',
+  u: '(?:u{1,2}|oo)',
+  f: '(?:f|ph)',
+  v: '[vw]',
+  j: '[jz]h?',
+  k: '(?:k{1,2}|q|ck)h?'
+};
+
+// Prefix pattern for one search word, so partial words match too
+const fuzzyTokenPattern = (token) => {
+  const letters = plainSpelling(token).split('').map(letter => {
+    if (LETTER_VARIANTS[letter]) return LETTER_VARIANTS[letter];
+    if (/[a-z]/.test(letter)) return `${letter}{1,2}h?`;
+    return letter;
+  });
+  return `\\b${letters.join('')}`;
+};
+
+const fuzzyPatterns = (term) => String(term)
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length >= MIN_FUZZY_TOKEN_LENGTH || /^\d+$/.test(token))
+  .slice(0, MAX_FUZZY_TOKENS)
+  .map(fuzzyTokenPattern);
+
+// Every word of the term has to match one of the fuzzy fields
+const buildFuzzyFilter = (patterns) => ({
+  $and: patterns.map(pattern => ({
+    $or: FUZZY_FIELDS.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+  }))
+});
+
+const boostExpression = (now) => ({
+  $add: [
+    1,
+    { $cond: [{ $eq: ['$featured', true] }, SEARCH_BOOSTS.featured, 0] },
+    { $cond: [{ $eq: ['$verified', true] }, SEARCH_BOOSTS.verified, 0] },
+    { $multiply: [{ $divide: [{ $ifNull: ['$rating', 0] }, 5] }, SEARCH_BOOSTS.rating] },
+    {
+      $multiply: [
+        SEARCH_BOOSTS.freshness,
+        {
+          $max: [0, {
+            $subtract: [1, {
+              $divide: [{ $subtract: [now, { $ifNull: ['$createdAt', now] }] }, FRESHNESS_DAYS * DAY]
+            }]
+          }]
+        }
+      ]
+    }
+  ]
+});
+
+// Fuzzy matches have no text score: a name matching every word counts double
+const fuzzyRelevance = (patterns) => ({
+  $cond: [
+    { $and: patterns.map(pattern => ({ $regexMatch: { input: { $ifNull: ['$name', ''] }, regex: pattern, options: 'i' } })) },
+    2,
+    1
+  ]
+});
+
+// How the search text narrows `filter`: the text index when it finds
+// anything, otherwise the fuzzy fallback. mode is 'text' or 'fuzzy'.
+const resolveSearchQuery = async (filter, term) => {
+  const text = { $and: [{ $text: { $search: String(term) } }, filter] };
+  const patterns = fuzzyPatterns(term);
+
+  if (patterns.length === 0 || await PGListing.exists(text)) {
+    return { query: text, mode: 'text', relevance: { $meta: 'textScore' } };
+  }
+
+  return {
+    query: { $and: [buildFuzzyFilter(patterns), filter] },
+    mode: 'fuzzy',
+    relevance: fuzzyRelevance(patterns)
+  };
+};
+
+// A page of listings matching `filter` and the search text, each with a
+// relevance `score`, best first unless `sort` is given. Without a search
+// text this is a plain query sorted by `sort` or `fallbackSort`.
+// Returns { listings, total, mode }.
+const searchListings = async (filter, { term, sort, fallbackSort = { createdAt: -1 }, skip = 0, limit = 20, now = new Date() }) => {
+  if (!term || !String(term).trim()) {
+    const [listings, total] = await Promise.all([
+      PGListing.find(filter)
+        .sort(sort || fallbackSort)
+        .skip(skip)
+        .limit(limit),
+      PGListing.countDocuments(filter)
+    ]);
+    return { listings, total, mode: null };
+  }
+
+  const { query, mode, relevance } = await resolveSearchQuery(filter, term);
+
+  const [result] = await PGListing.aggregate([
+    { $match: query },
+    { $addFields: { score: { $round: [{ $multiply: [relevance, boostExpression(now)] }, 4] } } },
+    { $sort: sort || { score: -1, _id: 1 } },
+    {
+      $facet: {
+        listings: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    // Documents again, so the response keeps virtuals like the other endpoints
+    listings: result.listings.map(listing => PGListing.hydrate(listing)),
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    mode
+  };
+};
+
+// Faceted search (/api/search/faceted). Price bands are [min, max) in ₹/month.
+const PRICE_BANDS = [
+  { key: 'under-5000', min: 0, max: 5000 },
+  { key: '5000-8000', min: 5000, max: 8000 },
+  { key: '8000-12000', min: 8000, max: 12000 },
+  { key: '12000-plus', min: 12000, max: null }
+];
+// "4★ & up", "3★ & up", ...
+const RATING_BANDS = [4, 3, 2];
+const MAX_AMENITY_FACETS = 30;
+const MAX_LOCALITY_FACETS = 20;
+
+// Parameters handled by buildFacetFilters rather than buildListingFilter
+const FACET_PARAMS = ['type', 'priceBand', 'minPrice', 'maxPrice', 'amenities', 'locality', 'verified', 'minRating'];
+
+const withoutFacetParams = (params) => {
+  const rest = { ...params };
+  FACET_PARAMS.forEach(param => delete rest[param]);
+  return rest;
+};
+
+const listParam = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(item => item && item !== 'all');
+
+const bandRange = (band) => (band.max !== null ? { $gte: band.min, $lt: band.max } : { $gte: band.min });
+
+// Filters that have a facet, keyed by facet. type, priceBand and locality
+// take several comma separated values (any of them); amenities need all.
+const buildFacetFilters = (params) => {
+  const filters = {};
+
+  const types = listParam(params.type);
+  if (types.length > 0) filters.type = { type: { $in: types } };
+
+  const bands = PRICE_BANDS.filter(band => listParam(params.priceBand).includes(band.key));
+  const price = [];
+  if (bands.length > 0) {
+    price.push({ $or: bands.map(band => ({ price: bandRange(band) })) });
+  }
+  if (params.minPrice || params.maxPrice) {
+    const range = {};
+    if (params.minPrice) range.$gte = Number(params.minPrice);
+    if (params.maxPrice) range.$lte = Number(params.maxPrice);
+    price.push({ price: range });
+  }
+  if (price.length > 0) filters.price = { $and: price };
+
+  const amenities = listParam(params.amenities);
+  if (amenities.length > 0) filters.amenities = { amenities: { $all: amenities } };
+
+  const localities = listParam(params.locality);
+  if (localities.length > 0) filters.locality = { locality: { $in: localities } };
+
+  if (params.verified === 'true' || params.verified === 'false') {
+    filters.verified = { verified: params.verified === 'true' };
+  }
+
+  if (params.minRating) filters.rating = { rating: { $gte: Number(params.minRating) } };
+
+  return filters;
+};
+
+const matchAll = (conditions) => (conditions.length > 0 ? { $and: conditions } : {});
+
+// Every active facet filter except the facet's own, so its counts show what
+// picking another value would give. Amenities combine with AND, so their
+// counts keep the amenities already picked.
+const facetMatch = (filters, facet) => matchAll(
+  Object.keys(filters)
+    .filter(key => key !== facet || facet === 'amenities')
+    .map(key => filters[key])
+);
+
+const countBy = (field, limit = null) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : [])
+];
+
+const priceBandExpression = {
+  $switch: {
+    branches: PRICE_BANDS.map(band => ({
+      case: {
+        $and: [
+          { $gte: ['$price', band.min] },
+          ...(band.max !== null ? [{ $lt: ['$price', band.max] }] : [])
+        ]
+      },
+      then: band.key
+    })),
+    default: null
+  }
+};
+
+const toCounts = (rows) => rows.map(row => ({ value: row._id, count: row.count }));
+
+// A page of listings plus facet counts for type, price band, amenities,
+// locality, verified and rating band, from one aggregation. q, location,
+// city and sub-rating minimums narrow everything, like /api/search.
+// Returns { listings, total, mode, facets }.
+const facetedSearch = async (params, { sort, skip = 0, limit = 20, now = new Date() } = {}) => {
+  const base = buildListingFilter(withoutFacetParams(params));
+  const term = params.q && String(params.q).trim();
+  const { query, mode, relevance } = term
+    ? await resolveSearchQuery(base, term)
+    : { query: base, mode: null };
+
+  const filters = buildFacetFilters(params);
+  const all = matchAll(Object.values(filters));
+
+  const [result] = await PGListing.aggregate([
+    { $match: query },
+    ...(term ? [{ $addFields: { score: { $round: [{ $multiply: [relevance, boostExpression(now)] }, 4] } } }] : []),
+    {
+      $facet: {
+        listings: [
+          { $match: all },
+          { $sort: sort || (term ? { score: -1, _id: 1 } : { featured: -1, rating: -1, _id: 1 }) },
+          { $skip: skip },
+          { $limit: limit }
+        ],
+        total: [{ $match: all }, { $count: 'count' }],
+        type: [{ $match: facetMatch(filters, 'type') }, ...countBy('$type')],
+        price: [{ $match: facetMatch(filters, 'price') }, ...countBy(priceBandExpression)],
+        amenities: [
+          { $match: facetMatch(filters, 'amenities') },
+          { $unwind: '$amenities' },
+          ...countBy('$amenities', MAX_AMENITY_FACETS)
+        ],
+        locality: [
+          { $match: facetMatch(filters, 'locality') },
+          { $match: { locality: { $nin: [null, ''] } } },
+          ...countBy('$locality', MAX_LOCALITY_FACETS)
+        ],
+        verified: [{ $match: facetMatch(filters, 'verified') }, ...countBy('$verified')],
+        rating: [
+          { $match: facetMatch(filters, 'rating') },
+          {
+            $group: RATING_BANDS.reduce((group, min) => {
+              group[`min${min}`] = { $sum: { $cond: [{ $gte: ['$rating', min] }, 1, 0] } };
+              return group;
+            }, { _id: null })
+          }
+        ]
+      }
+    }
+  ]);
+
+  const typeCounts = new Map(result.type.map(row => [row._id, row.count]));
+  const priceCounts = new Map(result.price.map(row => [row._id, row.count]));
+  const verifiedCounts = new Map(result.verified.map(row => [row._id === true, row.count]));
+  const ratingCounts = result.rating[0] || {};
+
+  return {
+    listings: result.listings.map(listing => PGListing.hydrate(listing)),
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    mode,
+    // Every type and band is listed, with 0 when nothing matches
+    facets: {
+      type: PGListing.schema.path('type').enumValues.map(value => ({ value, count: typeCounts.get(value) || 0 })),
+      price: PRICE_BANDS.map(band => ({ ...band, count: priceCounts.get(band.key) || 0 })),
+      amenities: toCounts(result.amenities),
+      locality: toCounts(result.locality),
+      verified: [true, false].map(value => ({ value, count: verifiedCounts.get(value) || 0 })),
+      rating: RATING_BANDS.map(min => ({ min, count: ratingCounts[`min${min}`] || 0 }))
+    }
+  };
+};
+
+module.exports = {
+  parsePagination,
+  parseSort,
+  buildRatingFilter,
+  buildListingFilter,
+  resolveSearchQuery,
+  searchListings,
+  facetedSearch
+};
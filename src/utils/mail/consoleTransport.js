@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development/test transport: prints mail to the console and, when an
+// outbox directory is configured, writes each message there as JSON.
+const createConsoleTransport = ({ outboxDir = process.env.MAIL_OUTBOX_DIR, silent = false } = {}) => {
+  const sent = [];
+
+  return {
+    name: 'console',
+    sent,
+
+    async send(message) {
+      const record = {
+        ...message,
+        messageId: `console-${Date.now()}-${sent.length + 1}`,
+        sentAt: new Date().toISOString()
+      };
+
+      sent.push(record);
+
+      if (!silent) {
+        console.log('\n📧 Mail (console transport)');
+        console.log(`   To:      ${message.to}`);
+        console.log(`   Subject: ${message.subject}`);
+        console.log(`   ${message.text}`);
+      }
+
+      if (outboxDir) {
+        fs.mkdirSync(outboxDir, { recursive: true });
+        fs.writeFileSync(
+          path.join(outboxDir, `${record.messageId}.json`),
+          JSON.stringify(record, null, 2)
+        );
+      }
+
+      return { messageId: record.messageId };
+    }
+  };
+};
+
+module.exports = createConsoleTransport;
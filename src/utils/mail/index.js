@@ -0,0 +1,43 @@
+const createConsoleTransport = require('./consoleTransport');
+const createSmtpTransport = require('./smtpTransport');
+
+// A transport is any object with `name` and `async send({ from, to, subject, text, html })`.
+// MAIL_TRANSPORT selects one at startup ('console' by default, or 'smtp');
+// tests can swap it with setTransport().
+let transport = null;
+
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport '${name}'`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'PG Finder <no-reply@pgfinder.com>';
+  return getTransport().send({ from, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createTransport,
+  createConsoleTransport,
+  createSmtpTransport
+};
@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+// Production transport backed by any SMTP server
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS
+} = {}) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is not defined in environment variables');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,111 @@
+const CLIENT_URL = process.env.CLIENT_URL || 'https://eassy-to-rent-startup.vercel.app';
+
+const verifyEmail = (user, token) => {
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.name},</p><p>Please confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+  };
+};
+
+const passwordReset = (user, token) => {
+  const link = `${CLIENT_URL}/reset-password?token=${token}`;
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, ignore this email.`,
+    html: `<p>Hi ${user.name},</p><p>We received a request to reset your password. <a href="${link}">Choose a new password</a>.</p><p>The link expires in 1 hour. If you did not ask for this, ignore this email.</p>`
+  };
+};
+
+const formatDate = (date) => new Date(date).toDateString();
+
+// kind: 'due-soon' | 'overdue' | 'late-fee'
+const rentReminder = (user, installment, listingName, kind) => {
+  const link = `${CLIENT_URL}/bookings/${installment.booking}`;
+  const due = `₹${installment.outstanding} for ${installment.period} at ${listingName}`;
+  const lines = {
+    'due-soon': `Your rent of ${due} is due on ${formatDate(installment.dueDate)}.`,
+    overdue: `Your rent of ${due} was due on ${formatDate(installment.dueDate)} and is still unpaid.`,
+    'late-fee': `A late fee of ₹${installment.lateFee} was added to your rent for ${installment.period} at ${listingName}. You now owe ₹${installment.outstanding}.`
+  };
+  const subjects = {
+    'due-soon': 'Your rent is due soon',
+    overdue: 'Your rent is overdue',
+    'late-fee': 'Late fee added to your rent'
+  };
+
+  return {
+    subject: subjects[kind],
+    // One-line version for in-app notifications
+    message: lines[kind],
+    text: `Hi ${user.name},\n\n${lines[kind]}\n\nPay now: ${link}`,
+    html: `<p>Hi ${user.name},</p><p>${lines[kind]}</p><p><a href="${link}">Pay now</a></p>`
+  };
+};
+
+// One line per wishlist alert, e.g. "Price dropped from ₹8000 to ₹7500"
+const describeListingAlert = (alert) => {
+  const { details = {} } = alert;
+  switch (alert.kind) {
+    case 'price-drop':
+      return `Price dropped from ₹${details.from} to ₹${details.to}`;
+    case 'vacancy':
+      return 'A bed is available again';
+    case 'new-room-type':
+      return `Now offers ${(details.roomTypes || []).join(', ')} sharing`;
+    default:
+      return 'Listing updated';
+  }
+};
+
+// Instant alerts about one wishlisted listing
+const listingAlert = (user, listing, alerts) => {
+  const link = `${CLIENT_URL}/pg/${listing._id}`;
+  const lines = alerts.map(describeListingAlert);
+
+  return {
+    subject: `Update on ${listing.name} from your wishlist`,
+    message: `${listing.name}: ${lines.join('. ')}.`,
+    text: `Hi ${user.name},\n\n${listing.name} from your wishlist changed:\n${lines.map(line => `- ${line}`).join('\n')}\n\nView it: ${link}`,
+    html: `<p>Hi ${user.name},</p><p><a href="${link}">${listing.name}</a> from your wishlist changed:</p><ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>`
+  };
+};
+
+// Daily digest; groups: [{ listing, alerts }]
+const listingAlertDigest = (user, groups) => {
+  const link = `${CLIENT_URL}/wishlist`;
+  const count = groups.length;
+  const summary = groups.map(({ listing, alerts }) => `${listing.name}: ${alerts.map(describeListingAlert).join('. ')}`);
+
+  return {
+    subject: `${count} PG${count === 1 ? '' : 's'} on your wishlist changed today`,
+    message: `Changes to ${groups.map(({ listing }) => listing.name).join(', ')}`,
+    text: `Hi ${user.name},\n\nHere is what changed on your wishlist:\n${summary.map(line => `- ${line}`).join('\n')}\n\nOpen your wishlist: ${link}`,
+    html: `<p>Hi ${user.name},</p><p>Here is what changed on your wishlist:</p><ul>${summary.map(line => `<li>${line}</li>`).join('')}</ul><p><a href="${link}">Open your wishlist</a></p>`
+  };
+};
+
+// New listings matching a saved search; `total` may exceed listings.length
+const savedSearchDigest = (user, search, listings, total) => {
+  const link = `${CLIENT_URL}/saved-searches/${search._id}`;
+  const heading = `${total} new PG${total === 1 ? '' : 's'} for "${search.name}"`;
+  const lines = listings.map(listing => `${listing.name}, ${listing.locality || listing.city} - ₹${listing.price}/month`);
+  const more = total > listings.length ? `and ${total - listings.length} more` : '';
+
+  return {
+    subject: heading,
+    message: `${heading}: ${listings.map(listing => listing.name).join(', ')}${more ? ` ${more}` : ''}`,
+    text: `Hi ${user.name},\n\n${heading}:\n${lines.map(line => `- ${line}`).join('\n')}${more ? `\n${more}` : ''}\n\nSee all results: ${link}`,
+    html: `<p>Hi ${user.name},</p><p>${heading}:</p><ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>${more ? `<p>${more}</p>` : ''}<p><a href="${link}">See all results</a></p>`
+  };
+};
+
+module.exports = {
+  verifyEmail,
+  passwordReset,
+  rentReminder,
+  listingAlert,
+  listingAlertDigest,
+  savedSearchDigest
+};
@@ -0,0 +1,37 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+
+// Store an in-app notification and, unless email is false, mail it too.
+// `mail` overrides the default email ({ subject: title, text: message }).
+// A failed email never loses the in-app notification.
+const notify = async (userOrId, { type, title, message = '', link = '', data = {}, email = true, mail = null }) => {
+  const user = userOrId && userOrId.email !== undefined
+    ? userOrId
+    : await User.findById(userOrId).select('name email status');
+
+  if (!user) return null;
+
+  const notification = await Notification.create({
+    user: user._id,
+    type,
+    title,
+    message,
+    link,
+    data
+  });
+
+  if (email && user.email) {
+    try {
+      await sendMail({ to: user.email, ...(mail || { subject: title, text: message }) });
+      notification.emailedAt = new Date();
+      await notification.save();
+    } catch (error) {
+      console.error(`❌ Failed to email notification ${notification._id}:`, error.message);
+    }
+  }
+
+  return notification;
+};
+
+module.exports = notify;
@@ -0,0 +1,55 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Indian grouping: crore (10^7), lakh (10^5), thousand, hundred
+const SCALES = [
+  [10000000, 'Crore'],
+  [100000, 'Lakh'],
+  [1000, 'Thousand'],
+  [100, 'Hundred']
+];
+
+const belowHundred = (n) => {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+};
+
+const integerToWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const words = [];
+  let rest = n;
+
+  SCALES.forEach(([size, name]) => {
+    if (rest >= size) {
+      // Crores can exceed 99 (e.g. "One Hundred Crore")
+      const count = Math.floor(rest / size);
+      words.push(`${count >= 100 ? integerToWords(count) : belowHundred(count)} ${name}`);
+      rest %= size;
+    }
+  });
+
+  if (rest > 0) words.push(belowHundred(rest));
+  return words.join(' ');
+};
+
+// 12500.5 → "Rupees Twelve Thousand Five Hundred and Fifty Paise Only"
+const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  const words = `Rupees ${integerToWords(rupees)}`;
+  return paise > 0
+    ? `${words} and ${belowHundred(paise)} Paise Only`
+    : `${words} Only`;
+};
+
+module.exports = {
+  integerToWords,
+  amountInWords
+};
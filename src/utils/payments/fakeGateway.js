@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+const sign = (rawBody, secret) => {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+const randomId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+// Development/test gateway: keeps orders in memory and produces signed
+// webhook deliveries on demand with simulate().
+const createFakeGateway = ({
+  secret = process.env.FAKE_GATEWAY_SECRET || 'fake-gateway-secret',
+  refundsSettleInstantly = true
+} = {}) => {
+  const orders = new Map();
+  const refunds = new Map();
+
+  // Build a signed delivery exactly as it would arrive over HTTP
+  const delivery = (event, payload) => {
+    const body = { id: randomId('evt'), event, payload };
+    const rawBody = JSON.stringify(body);
+    return {
+      body,
+      rawBody,
+      headers: { 'x-fake-signature': sign(rawBody, secret) }
+    };
+  };
+
+  return {
+    name: 'fake',
+    orders,
+    refunds,
+
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      const order = { orderId: randomId('order'), amount, currency, receipt, notes };
+      orders.set(order.orderId, order);
+
+      return {
+        orderId: order.orderId,
+        amount,
+        currency,
+        checkout: { gateway: 'fake', orderId: order.orderId }
+      };
+    },
+
+    async refund({ paymentId, amount, notes = {} }) {
+      const refund = { refundId: randomId('rfnd'), paymentId, amount, notes };
+      refunds.set(refund.refundId, refund);
+
+      return {
+        refundId: refund.refundId,
+        status: refundsSettleInstantly ? 'processed' : 'pending'
+      };
+    },
+
+    verifyWebhook(rawBody, headers = {}) {
+      const signature = headers['x-fake-signature'];
+      if (!rawBody || !signature) return false;
+
+      const expected = Buffer.from(sign(rawBody, secret));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    parseWebhook(body) {
+      const payload = body.payload || {};
+      const known = ['payment.captured', 'payment.failed', 'refund.processed', 'refund.failed'];
+
+      return {
+        eventId: body.id,
+        type: known.includes(body.event) ? body.event : null,
+        orderId: payload.orderId || null,
+        paymentId: payload.paymentId || null,
+        refundId: payload.refundId || null,
+        reason: payload.reason || ''
+      };
+    },
+
+    // Signed delivery for a checkout outcome ('captured' or 'failed')
+    simulate(orderId, outcome = 'captured', reason = '') {
+      return delivery(`payment.${outcome}`, {
+        orderId,
+        paymentId: randomId('pay'),
+        reason
+      });
+    },
+
+    // Signed delivery settling a pending refund ('processed' or 'failed')
+    simulateRefund(refundId, outcome = 'processed', reason = '') {
+      return delivery(`refund.${outcome}`, { refundId, reason });
+    }
+  };
+};
+
+module.exports = createFakeGateway;
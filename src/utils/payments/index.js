@@ -0,0 +1,51 @@
+const createFakeGateway = require('./fakeGateway');
+const createRazorpayGateway = require('./razorpayGateway');
+
+// A gateway is any object with:
+//   name
+//   async createOrder({ amount, currency, receipt, notes }) -> { orderId, amount, currency, checkout }
+//   async refund({ paymentId, amount, notes })              -> { refundId, status: 'pending' | 'processed' }
+//   verifyWebhook(rawBody, headers)                          -> boolean
+//   parseWebhook(body, headers) -> { eventId, type, orderId, paymentId, refundId, reason }
+// where type is 'payment.captured', 'payment.failed', 'refund.processed',
+// 'refund.failed' or null for events we ignore. Amounts are in rupees.
+// PAYMENT_GATEWAY selects one at startup ('razorpay' or 'fake'). Only
+// development and test fall back to 'fake', so a deploy that forgets the
+// setting cannot take payments through it; tests can swap it with setGateway().
+let gateway = null;
+
+const defaultGatewayName = () => {
+  return ['development', 'test'].includes(process.env.NODE_ENV) ? 'fake' : null;
+};
+
+const createGateway = (name = process.env.PAYMENT_GATEWAY || defaultGatewayName()) => {
+  switch (name) {
+    case 'razorpay':
+      return createRazorpayGateway();
+    case 'fake':
+      return createFakeGateway();
+    case null:
+      throw new Error('No payment gateway configured; set PAYMENT_GATEWAY');
+    default:
+      throw new Error(`Unknown payment gateway '${name}'`);
+  }
+};
+
+const getGateway = () => {
+  if (!gateway) {
+    gateway = createGateway();
+  }
+  return gateway;
+};
+
+const setGateway = (newGateway) => {
+  gateway = newGateway;
+};
+
+module.exports = {
+  getGateway,
+  setGateway,
+  createGateway,
+  createFakeGateway,
+  createRazorpayGateway
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+// Production gateway speaking the Razorpay REST API. Razorpay works in
+// paise; the ledger works in rupees.
+const createRazorpayGateway = ({
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+} = {}) => {
+  if (!keyId || !keySecret || !webhookSecret) {
+    throw new Error('RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET must be defined in environment variables');
+  }
+
+  const authorization = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+  const request = async (path, body) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: authorization,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      const message = data.error && data.error.description ? data.error.description : response.statusText;
+      const error = new Error(`Razorpay: ${message}`);
+      error.status = 502;
+      throw error;
+    }
+    return data;
+  };
+
+  return {
+    name: 'razorpay',
+
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      const order = await request('/orders', {
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        notes
+      });
+
+      return {
+        orderId: order.id,
+        amount,
+        currency,
+        // What the client passes to Razorpay Checkout
+        checkout: {
+          gateway: 'razorpay',
+          key: keyId,
+          orderId: order.id,
+          amount: order.amount,
+          currency
+        }
+      };
+    },
+
+    async refund({ paymentId, amount, notes = {} }) {
+      const refund = await request(`/payments/${paymentId}/refund`, {
+        amount: Math.round(amount * 100),
+        notes
+      });
+
+      return {
+        refundId: refund.id,
+        status: refund.status === 'processed' ? 'processed' : 'pending'
+      };
+    },
+
+    verifyWebhook(rawBody, headers = {}) {
+      const signature = headers['x-razorpay-signature'];
+      if (!rawBody || !signature) return false;
+
+      const expected = Buffer.from(crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex'));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    parseWebhook(body, headers = {}) {
+      const payment = body.payload && body.payload.payment ? body.payload.payment.entity : null;
+      const refund = body.payload && body.payload.refund ? body.payload.refund.entity : null;
+      const known = ['payment.captured', 'payment.failed', 'refund.processed', 'refund.failed'];
+
+      return {
+        // Razorpay repeats the same event id on redelivery
+        eventId: headers['x-razorpay-event-id'] || `${body.event}:${(refund || payment || {}).id}`,
+        type: known.includes(body.event) ? body.event : null,
+        orderId: payment ? payment.order_id : null,
+        paymentId: payment ? payment.id : (refund ? refund.payment_id : null),
+        refundId: refund ? refund.id : null,
+        reason: payment && payment.error_description ? payment.error_description : ''
+      };
+    }
+  };
+};
+
+module.exports = createRazorpayGateway;
@@ -0,0 +1,58 @@
+const Payment = require('../../models/Payment');
+const RentInstallment = require('../../models/RentInstallment');
+const { getGateway } = require('./index');
+
+// What is left to refund on a captured payment. Pending refunds count too,
+// so two requests cannot refund the same money twice.
+const refundableAmount = async (original) => {
+  const previousRefunds = await Payment.find({ refundOf: original._id, status: { $ne: 'failed' } });
+  return original.amount - previousRefunds.reduce((total, refund) => total + refund.amount, 0);
+};
+
+// Refund part of a captured gateway payment and record it in the ledger.
+// The refund entry is saved as failed (and the error rethrown) when the
+// gateway refuses it.
+const issueRefund = async (original, amount, { reason = '', actor = null } = {}) => {
+  const gateway = getGateway();
+  const refund = await Payment.create({
+    booking: original.booking,
+    user: original.user,
+    pgListing: original.pgListing,
+    kind: 'refund',
+    amount,
+    gateway: gateway.name,
+    refundOf: original._id,
+    note: reason,
+    createdBy: actor ? actor._id : null
+  });
+
+  try {
+    const result = await gateway.refund({
+      paymentId: original.gatewayPaymentId,
+      amount,
+      notes: { payment: original._id.toString(), refund: refund._id.toString() }
+    });
+
+    refund.gatewayRefundId = result.refundId;
+    if (result.status === 'processed') {
+      refund.markCaptured();
+    }
+    await refund.save();
+  } catch (error) {
+    refund.markFailed({ reason: error.message });
+    await refund.save();
+    throw error;
+  }
+
+  if (refund.status === 'captured' && original.kind === 'rent') {
+    await RentInstallment.syncBooking(original.booking);
+  }
+
+  console.log(`💸 Refund of ₹${amount} ${refund.status} for payment ${original._id}`);
+  return refund;
+};
+
+module.exports = {
+  refundableAmount,
+  issueRefund
+};
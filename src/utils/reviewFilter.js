@@ -0,0 +1,59 @@
+const PROFANITY = require('../config/profanity');
+
+// Rules that hold a review for a moderator. Contact details and links are
+// held because reviews are public and owners use them to poach tenants.
+const RULES = [
+  {
+    rule: 'profanity',
+    pattern: new RegExp(`\\b(?:${PROFANITY.join('|')})\\b`, 'gi'),
+    replace: (match) => '*'.repeat(match.length)
+  },
+  {
+    rule: 'email',
+    pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi
+  },
+  {
+    rule: 'link',
+    pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,!?)]|\b[a-z0-9-]+\.(?:com|in|net|org|co|io|me|info|xyz|link|ly)\b(?:\/\S*)?/gi
+  },
+  {
+    // Indian mobile and landline numbers, with or without +91/0 and separators
+    rule: 'phone',
+    pattern: /(?<!\d)(?:\+?91[\s-]?|0[\s-]?)?\d(?:[\s-]?\d){9}(?!\d)/g
+  }
+];
+
+const REDACTED = '[removed]';
+
+// Problems found in the review's text fields: [{ rule, field, match }]
+const screenReview = (fields) => {
+  const flags = [];
+
+  Object.entries(fields).forEach(([field, text]) => {
+    if (!text) return;
+
+    // Emails contain link-like domains; only report the email
+    let remaining = String(text);
+    RULES.forEach(({ rule, pattern }) => {
+      (remaining.match(pattern) || []).forEach(match => flags.push({ rule, field, match }));
+      remaining = remaining.replace(pattern, ' ');
+    });
+  });
+
+  return flags;
+};
+
+// The text with every flagged part masked (profanity) or removed
+const redactText = (text) => {
+  if (!text) return text;
+
+  return RULES.reduce(
+    (result, { pattern, replace }) => result.replace(pattern, replace || REDACTED),
+    String(text)
+  );
+};
+
+module.exports = {
+  screenReview,
+  redactText
+};
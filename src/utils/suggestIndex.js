@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const { getLandmarks } = require('../config/landmarks');
+
+// In-memory typeahead over published listings (PG names, localities, cities)
+// and landmarks. Every word of a name is indexed by its prefixes, so a
+// lookup is one Map read plus a small filter. The index is built on first
+// use and dropped whenever a listing write changes a field it is built from
+// (see the PGListing hooks); answers are cached until then.
+const MAX_PREFIX_LENGTH = 12;
+const MAX_CACHED_QUERIES = 500;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+const GROUPS = ['pgs', 'localities', 'cities', 'landmarks'];
+
+let index = null;
+let building = null;
+// Bumped on every invalidation so a build or answer that raced a write is not kept
+let generation = 0;
+const cache = new Map();
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const wordsOf = (text) => normalize(text).split(' ').filter(Boolean);
+
+const emptyGroups = () => GROUPS.reduce((groups, group) => {
+  groups[group] = [];
+  return groups;
+}, {});
+
+// texts: the name plus any aliases the entry should be found by
+const addEntry = (state, entry, texts) => {
+  entry.labels = texts.map(normalize).filter(Boolean);
+  entry.words = [...new Set(texts.flatMap(wordsOf))];
+
+  entry.words.forEach(word => {
+    for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+      const prefix = word.slice(0, length);
+      if (!state.prefixes.has(prefix)) state.prefixes.set(prefix, new Set());
+      state.prefixes.get(prefix).add(entry);
+    }
+  });
+};
+
+// Count listings per locality (within its city) and per city
+const tally = (map, key, value) => {
+  if (!map.has(key)) map.set(key, { ...value, count: 0 });
+  map.get(key).count++;
+};
+
+const buildIndex = async () => {
+  const listings = await mongoose.model('PGListing')
+    .find({ published: true })
+    .select('name slug city locality rating reviewCount featured')
+    .lean();
+
+  const state = { prefixes: new Map() };
+  const localities = new Map();
+  const cities = new Map();
+
+  listings.forEach(listing => {
+    addEntry(state, {
+      group: 'pgs',
+      weight: (listing.featured ? 10 : 0) + (listing.rating || 0) + Math.log10(1 + (listing.reviewCount || 0)),
+      value: {
+        _id: listing._id,
+        name: listing.name,
+        slug: listing.slug,
+        city: listing.city,
+        locality: listing.locality || ''
+      }
+    }, [listing.name]);
+
+    if (listing.locality) {
+      tally(localities, `${normalize(listing.locality)}|${normalize(listing.city)}`, { name: listing.locality, city: listing.city });
+    }
+    if (listing.city) {
+      tally(cities, normalize(listing.city), { name: listing.city });
+    }
+  });
+
+  localities.forEach(locality => addEntry(state, { group: 'localities', weight: locality.count, value: locality }, [locality.name]));
+  cities.forEach(city => addEntry(state, { group: 'cities', weight: city.count, value: city }, [city.name]));
+
+  getLandmarks().forEach(landmark => {
+    addEntry(state, {
+      group: 'landmarks',
+      weight: 0,
+      value: { name: landmark.name, slug: landmark.slug, type: landmark.type, city: landmark.city }
+    }, [landmark.name, ...(landmark.aliases || [])]);
+  });
+
+  console.log(`🔤 Built suggestion index: ${listings.length} listings, ${localities.size} localities, ${cities.size} cities`);
+  return state;
+};
+
+const getIndex = () => {
+  if (index) return Promise.resolve(index);
+
+  if (!building) {
+    const startedAt = generation;
+    const promise = buildIndex()
+      .then(state => {
+        if (startedAt === generation) index = state;
+        return state;
+      })
+      .finally(() => {
+        if (building === promise) building = null;
+      });
+    building = promise;
+  }
+
+  return building;
+};
+
+// 2: the whole query starts the name (or an alias); 1: every query word
+// starts some word of it; 0: no match
+const matchQuality = (entry, query, tokens) => {
+  if (entry.labels.some(label => label.startsWith(query))) return 2;
+  return tokens.every(token => entry.words.some(word => word.startsWith(token))) ? 1 : 0;
+};
+
+const lookup = (state, query, limit) => {
+  const tokens = query.split(' ');
+  const candidates = state.prefixes.get(tokens[0].slice(0, MAX_PREFIX_LENGTH)) || new Set();
+  const groups = emptyGroups();
+
+  Array.from(candidates)
+    .map(entry => ({ entry, quality: matchQuality(entry, query, tokens) }))
+    .filter(({ quality }) => quality > 0)
+    .sort((a, b) =>
+      b.quality - a.quality ||
+      b.entry.weight - a.entry.weight ||
+      (a.entry.labels[0] || '').localeCompare(b.entry.labels[0] || '')
+    )
+    .forEach(({ entry }) => {
+      if (groups[entry.group].length < limit) {
+        groups[entry.group].push(entry.value);
+      }
+    });
+
+  return groups;
+};
+
+// Grouped suggestions for what the user has typed so far:
+// { pgs, localities, cities, landmarks }, best first, `limit` per group
+const suggest = async (q, { limit = DEFAULT_LIMIT } = {}) => {
+  const query = normalize(q);
+  const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  if (!query) return emptyGroups();
+
+  const key = `${size}:${query}`;
+  if (cache.has(key)) {
+    // Most recently used last, so the oldest entry is evicted first
+    const hit = cache.get(key);
+    cache.delete(key);
+    cache.set(key, hit);
+    return hit;
+  }
+
+  const startedAt = generation;
+  const result = lookup(await getIndex(), query, size);
+
+  if (startedAt === generation) {
+    cache.set(key, result);
+    if (cache.size > MAX_CACHED_QUERIES) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  return result;
+};
+
+// Drop the index and cached answers; the next suggest() rebuilds them
+const invalidateSuggestIndex = () => {
+  generation++;
+  index = null;
+  building = null;
+  cache.clear();
+};
+
+module.exports = {
+  suggest,
+  invalidateSuggestIndex
+};
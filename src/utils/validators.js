@@ -0,0 +1,42 @@
+// Shared request/data validators
+const mongoose = require('mongoose');
+
+// A GeoJSON point with real coordinates. [0, 0] is the schema default,
+// i.e. "never set", and must not reach a published listing.
+const hasValidCoordinates = (location) => {
+  if (!location || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+    return false;
+  }
+
+  const [lng, lat] = location.coordinates.map(Number);
+
+  if (!Number.isFinite(lng) || !Number.isFinite(lat)) return false;
+  if (lng < -180 || lng > 180 || lat < -90 || lat > 90) return false;
+
+  return !(lng === 0 && lat === 0);
+};
+
+// Parse lat/lng query values into [lng, lat], or null when invalid
+const parseLatLng = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  if (!hasValidCoordinates({ coordinates: [longitude, latitude] })) {
+    return null;
+  }
+
+  return [longitude, latitude];
+};
+
+// Boolean request values the way Mongoose casts them, so a check on the
+// request sees what will be stored: "true", 1, "1" and "yes" are true;
+// "false", 0, "0" and "no" are false
+const isTrueFlag = (value) => mongoose.Schema.Types.Boolean.convertToTrue.has(value);
+const isFalseFlag = (value) => mongoose.Schema.Types.Boolean.convertToFalse.has(value);
+
+module.exports = {
+  hasValidCoordinates,
+  isTrueFlag,
+  isFalseFlag,
+  parseLatLng
+};
@@ -0,0 +1,167 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const PGListing = require('../src/models/PGListing');
+const Booking = require('../src/models/Booking');
+const { connectTestDatabase, clearTestDatabase, createTestUser } = require('./helpers/db');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY);
+
+const createListing = (roomCount = 1) => PGListing.create({
+  name: `Test PG ${Date.now()}`,
+  address: 'Sector 15',
+  price: 8000,
+  published: true,
+  location: { type: 'Point', coordinates: [76.77, 30.74] },
+  rooms: Array.from({ length: roomCount }, (_, i) => ({
+    number: String(101 + i),
+    sharingType: 'single',
+    price: 8000,
+    beds: PGListing.buildBeds('single')
+  }))
+});
+
+// Fire every reservation at once and sort the outcomes
+const reserveInParallel = async (requests) => {
+  const results = await Promise.allSettled(requests.map(request => Booking.reserve(request)));
+  return {
+    booked: results.filter(result => result.status === 'fulfilled').map(result => result.value),
+    refused: results.filter(result => result.status === 'rejected').map(result => result.reason)
+  };
+};
+
+const tenants = (count) => Promise.all(Array.from({ length: count }, () => createTestUser(User)));
+
+let disconnect;
+
+before(async () => {
+  disconnect = await connectTestDatabase();
+});
+
+after(async () => {
+  if (disconnect) await disconnect();
+});
+
+beforeEach(async () => {
+  await clearTestDatabase();
+});
+
+describe('Booking.reserve under concurrency', () => {
+  it('gives one bed to exactly one of several parallel requests', async () => {
+    const listing = await createListing();
+    const users = await tenants(5);
+
+    const { booked, refused } = await reserveInParallel(users.map(user => ({
+      pgId: listing._id,
+      user,
+      startDate: daysFromNow(1),
+      duration: 3
+    })));
+
+    assert.equal(booked.length, 1);
+    assert.equal(refused.length, 4);
+    refused.forEach(error => assert.equal(error.status, 409));
+
+    assert.equal(await Booking.countDocuments(), 1);
+
+    const saved = await PGListing.findById(listing._id);
+    const bed = saved.findBed(booked[0].bed);
+    assert.equal(bed.occupied, true);
+    assert.equal(bed.booking.toString(), booked[0]._id.toString());
+    assert.equal(saved.availability, 'full');
+  });
+
+  it('fills every bed once when requests outnumber beds', async () => {
+    const listing = await createListing(2);
+    const users = await tenants(4);
+
+    const { booked, refused } = await reserveInParallel(users.map(user => ({
+      pgId: listing._id,
+      user,
+      startDate: daysFromNow(1),
+      duration: 1
+    })));
+
+    assert.equal(booked.length, 2);
+    assert.equal(refused.length, 2);
+
+    const bedIds = booked.map(booking => booking.bed.toString());
+    assert.equal(new Set(bedIds).size, 2, 'no bed may be booked twice');
+  });
+
+  it('books the same bed for stays that do not overlap', async () => {
+    const listing = await createListing();
+    const [first, second] = await tenants(2);
+
+    const { booked, refused } = await reserveInParallel([
+      { pgId: listing._id, user: first, startDate: daysFromNow(1), duration: 1 },
+      { pgId: listing._id, user: second, startDate: daysFromNow(120), duration: 1 }
+    ]);
+
+    assert.equal(refused.length, 0);
+    assert.equal(booked.length, 2);
+    assert.equal(booked[0].bed.toString(), booked[1].bed.toString());
+  });
+
+  it('does not mark a bed occupied for a stay months away', async () => {
+    const listing = await createListing();
+    const [user] = await tenants(1);
+
+    const booking = await Booking.reserve({ pgId: listing._id, user, startDate: daysFromNow(90), duration: 1 });
+
+    const saved = await PGListing.findById(listing._id);
+    assert.equal(saved.findBed(booking.bed).occupied, false);
+    assert.equal(saved.availability, 'available');
+  });
+});
+
+describe('freeing a reserved bed', () => {
+  const cancel = async (booking) => {
+    const current = await Booking.findById(booking._id);
+    current.transitionTo('cancelled', null, 'Test cancellation');
+    await current.save();
+  };
+
+  it('hands the bed to a booking that starts soon', async () => {
+    const listing = await createListing();
+    const [first, second] = await tenants(2);
+
+    const current = await Booking.reserve({ pgId: listing._id, user: first, startDate: daysFromNow(-28), duration: 1 });
+    const nextUp = await Booking.reserve({ pgId: listing._id, user: second, startDate: daysFromNow(5), duration: 1 });
+
+    await cancel(current);
+
+    const saved = await PGListing.findById(listing._id);
+    const bed = saved.findBed(current.bed);
+    assert.equal(bed.occupied, true);
+    assert.equal(bed.booking.toString(), nextUp._id.toString());
+  });
+
+  it('leaves the bed vacant when the next booking is months away', async () => {
+    const listing = await createListing();
+    const [first, second] = await tenants(2);
+
+    const current = await Booking.reserve({ pgId: listing._id, user: first, startDate: daysFromNow(1), duration: 1 });
+    const later = await Booking.reserve({ pgId: listing._id, user: second, startDate: daysFromNow(120), duration: 1 });
+
+    await cancel(current);
+
+    let saved = await PGListing.findById(listing._id);
+    assert.equal(saved.findBed(current.bed).occupied, false);
+    assert.equal(saved.availability, 'available');
+
+    // Moving in claims the bed
+    const booking = await Booking.findById(later._id);
+    booking.transitionTo('approved', null);
+    booking.transitionTo('active', null);
+    await booking.save();
+
+    saved = await PGListing.findById(listing._id);
+    const bed = saved.findBed(later.bed);
+    assert.equal(bed.occupied, true);
+    assert.equal(bed.booking.toString(), later._id.toString());
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { addMonths } = require('../src/utils/dates');
+
+const day = (date) => date.toDateString();
+
+describe('addMonths', () => {
+  it('keeps the day of the month when it exists', () => {
+    assert.equal(day(addMonths(new Date(2026, 2, 15), 1)), day(new Date(2026, 3, 15)));
+  });
+
+  it('clamps month-end starts to the end of shorter months', () => {
+    const start = new Date(2026, 0, 31);
+    const schedule = [0, 1, 2, 3].map(months => day(addMonths(start, months)));
+
+    assert.deepEqual(schedule, [
+      day(new Date(2026, 0, 31)),
+      day(new Date(2026, 1, 28)),
+      day(new Date(2026, 2, 31)),
+      day(new Date(2026, 3, 30))
+    ]);
+  });
+
+  it('lands on Feb 29 in a leap year', () => {
+    assert.equal(day(addMonths(new Date(2028, 0, 30), 1)), day(new Date(2028, 1, 29)));
+  });
+
+  it('rolls over the year and keeps the time of day', () => {
+    const result = addMonths(new Date(2026, 10, 30, 9, 15), 3);
+    assert.equal(day(result), day(new Date(2027, 1, 28)));
+    assert.equal(result.getHours(), 9);
+    assert.equal(result.getMinutes(), 15);
+  });
+
+  it('does not change the date it is given', () => {
+    const start = new Date(2026, 0, 31);
+    addMonths(start, 1);
+    assert.equal(start.getDate(), 31);
+  });
+});
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// In-memory MongoDB for the tests. It is a one-member replica set because
+// Booking.reserve runs in a transaction, which a standalone server rejects.
+// Require the models before calling this, so their collections and indexes
+// exist before any transaction writes to them.
+const connectTestDatabase = async () => {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri(), { dbName: 'pg-finder-test' });
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+  return async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  };
+};
+
+// Empty every collection between tests, keeping their indexes
+const clearTestDatabase = async () => {
+  await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+};
+
+let userCount = 0;
+
+const createTestUser = (User, fields = {}) => {
+  userCount++;
+  return User.create({
+    name: `Tenant ${userCount}`,
+    email: `tenant${userCount}@example.com`,
+    password: 'secret123',
+    ...fields
+  });
+};
+
+module.exports = {
+  connectTestDatabase,
+  clearTestDatabase,
+  createTestUser
+};
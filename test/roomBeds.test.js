@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const PGListing = require('../src/models/PGListing');
+const Booking = require('../src/models/Booking');
+const { updateBed, deleteBed, deleteRoom } = require('../src/controllers/roomController');
+const { connectTestDatabase, clearTestDatabase, createTestUser } = require('./helpers/db');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY);
+
+const createListing = () => PGListing.create({
+  name: `Bed PG ${Date.now()}`,
+  address: 'Sector 22',
+  price: 9000,
+  published: true,
+  location: { type: 'Point', coordinates: [76.77, 30.73] },
+  rooms: [{ number: '201', sharingType: 'single', price: 9000, beds: PGListing.buildBeds('single') }]
+});
+
+// Call a room handler the way the router does, with the listing preloaded
+const callHandler = async (handler, listingId, params, body = {}) => {
+  const response = { statusCode: 200 };
+  const res = {
+    status(code) {
+      response.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      response.body = payload;
+      return res;
+    }
+  };
+
+  const req = { params, body, listing: await PGListing.findById(listingId) };
+  await handler(req, res);
+  return response;
+};
+
+// A tenant booked far enough ahead that the bed still shows vacant
+const reserveLater = async (listing) => {
+  const user = await createTestUser(User);
+  return Booking.reserve({ pgId: listing._id, user, startDate: daysFromNow(60), duration: 1 });
+};
+
+let disconnect;
+
+before(async () => {
+  disconnect = await connectTestDatabase();
+});
+
+after(async () => {
+  if (disconnect) await disconnect();
+});
+
+beforeEach(async () => {
+  await clearTestDatabase();
+});
+
+describe('changing beds booked for a later stay', () => {
+  it('refuses to mark the bed occupied for an offline tenant', async () => {
+    const listing = await createListing();
+    const booking = await reserveLater(listing);
+    const roomId = listing.rooms[0]._id;
+
+    const response = await callHandler(updateBed, listing._id, { roomId, bedId: booking.bed }, { occupied: true });
+
+    assert.equal(response.statusCode, 400);
+    const saved = await PGListing.findById(listing._id);
+    assert.equal(saved.findBed(booking.bed).occupied, false);
+  });
+
+  it('refuses to remove the bed', async () => {
+    const listing = await createListing();
+    const booking = await reserveLater(listing);
+    const roomId = listing.rooms[0]._id;
+
+    const response = await callHandler(deleteBed, listing._id, { roomId, bedId: booking.bed });
+
+    assert.equal(response.statusCode, 400);
+    const saved = await PGListing.findById(listing._id);
+    assert.ok(saved.findBed(booking.bed));
+  });
+
+  it('refuses to remove the room', async () => {
+    const listing = await createListing();
+    await reserveLater(listing);
+    const roomId = listing.rooms[0]._id;
+
+    const response = await callHandler(deleteRoom, listing._id, { roomId });
+
+    assert.equal(response.statusCode, 400);
+    const saved = await PGListing.findById(listing._id);
+    assert.equal(saved.rooms.length, 1);
+  });
+
+  it('frees the bed again once the booking is cancelled', async () => {
+    const listing = await createListing();
+    const booking = await reserveLater(listing);
+    const roomId = listing.rooms[0]._id;
+
+    booking.transitionTo('cancelled', null, 'Test cancellation');
+    await booking.save();
+
+    const response = await callHandler(deleteBed, listing._id, { roomId, bedId: booking.bed });
+    assert.equal(response.statusCode, 200);
+  });
+
+  it('refuses a move-in onto a bed taken outside a booking', async () => {
+    const listing = await createListing();
+    const booking = await reserveLater(listing);
+
+    // As if the bed had been handed out before the guards existed
+    const saved = await PGListing.findById(listing._id);
+    saved.findBed(booking.bed).occupied = true;
+    await saved.save();
+
+    booking.transitionTo('approved', null);
+    booking.transitionTo('active', null);
+    await assert.rejects(booking.save(), error => error.status === 409);
+
+    const current = await Booking.findById(booking._id);
+    assert.equal(current.status, 'pending');
+  });
+});
@@ -0,0 +1,188 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const PGListing = require('../src/models/PGListing');
+const SavedSearch = require('../src/models/SavedSearch');
+const Notification = require('../src/models/Notification');
+const registerJobs = require('../src/jobs');
+const { createJobRunner } = require('../src/utils/jobRunner');
+const { setTransport } = require('../src/utils/mail');
+const { connectTestDatabase, clearTestDatabase, createTestUser } = require('./helpers/db');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Timers that only fire when the test says so
+const createFakeTimers = () => {
+  const scheduled = [];
+  return {
+    scheduled,
+    setInterval: (callback, ms) => {
+      const timer = { callback, ms };
+      scheduled.push(timer);
+      return timer;
+    },
+    clearInterval: (timer) => {
+      scheduled.splice(scheduled.indexOf(timer), 1);
+    }
+  };
+};
+
+const quietLogger = { log: () => {}, error: () => {} };
+
+let listingCount = 0;
+
+const createListing = (fields) => {
+  listingCount++;
+  return PGListing.create({
+    name: `Digest PG ${listingCount}`,
+    address: `Sector ${listingCount}`,
+    price: 7000,
+    published: true,
+    location: { type: 'Point', coordinates: [76.71, 30.7] },
+    ...fields
+  });
+};
+
+// A daily search whose baseline is what matches now, last run `ranAgo` ms ago
+const createSearch = async (user, criteria, ranAgo = 2 * DAY) => {
+  const search = new SavedSearch({ user: user._id, name: 'Mohali PGs', criteria, frequency: 'daily' });
+  search.markSeen(await search.findMatchIds(), new Date(Date.now() - ranAgo));
+  await search.save();
+  return search;
+};
+
+let disconnect;
+let outbox;
+let timers;
+let runner;
+
+// Fire the digest job's interval as the scheduler would
+const tickDigestJob = () => {
+  const index = runner.listJobs().findIndex(job => job.name === 'saved-search-digests');
+  return timers.scheduled[index].callback();
+};
+
+before(async () => {
+  disconnect = await connectTestDatabase();
+});
+
+after(async () => {
+  setTransport(null);
+  if (disconnect) await disconnect();
+});
+
+beforeEach(async () => {
+  await clearTestDatabase();
+
+  outbox = [];
+  setTransport({ name: 'test', send: async (message) => { outbox.push(message); } });
+
+  timers = createFakeTimers();
+  runner = createJobRunner({ timers, logger: quietLogger });
+  registerJobs(runner);
+  runner.startJobs();
+});
+
+describe('saved search digests', () => {
+  it('runs hourly on the job runner', () => {
+    const job = runner.listJobs().find(({ name }) => name === 'saved-search-digests');
+    assert.equal(job.intervalMs, HOUR);
+    assert.equal(timers.scheduled.length, runner.listJobs().length);
+  });
+
+  it('mails the listings that started matching since the last run', async () => {
+    const user = await createTestUser(User);
+    const seen = await createListing({ city: 'Mohali' });
+    const search = await createSearch(user, { city: 'Mohali' });
+
+    const fresh = await createListing({ city: 'Mohali' });
+    await createListing({ city: 'Chandigarh' });
+
+    assert.equal(await tickDigestJob(), 1);
+
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, user.email);
+    assert.match(outbox[0].subject, /1 new PG for "Mohali PGs"/);
+    assert.ok(outbox[0].text.includes(fresh.name));
+    assert.ok(!outbox[0].text.includes(seen.name));
+
+    const notification = await Notification.findOne({ user: user._id, type: 'saved-search.digest' });
+    assert.ok(notification);
+    assert.ok(notification.emailedAt);
+
+    const updated = await SavedSearch.findById(search._id).select('+matchedListings');
+    assert.ok(updated.lastNotifiedAt);
+    assert.equal(updated.matchedListings.length, 2);
+  });
+
+  it('does not send again before the search is due', async () => {
+    const user = await createTestUser(User);
+    await createSearch(user, { city: 'Mohali' });
+    await createListing({ city: 'Mohali' });
+
+    assert.equal(await tickDigestJob(), 1);
+    await createListing({ city: 'Mohali' });
+    assert.equal(await tickDigestJob(), 0);
+
+    assert.equal(outbox.length, 1);
+  });
+
+  it('sends nothing when no new listing matches', async () => {
+    const user = await createTestUser(User);
+    await createListing({ city: 'Mohali' });
+    const search = await createSearch(user, { city: 'Mohali' });
+
+    assert.equal(await runner.runJob('saved-search-digests'), 0);
+    assert.equal(outbox.length, 0);
+
+    const updated = await SavedSearch.findById(search._id);
+    assert.ok(updated.lastRunAt > search.lastRunAt, 'the run still counts');
+  });
+
+  it('only takes a baseline on a search that never ran', async () => {
+    const user = await createTestUser(User);
+    await createListing({ city: 'Mohali' });
+    const search = await SavedSearch.create({ user: user._id, name: 'Mohali PGs', criteria: { city: 'Mohali' }, frequency: 'daily' });
+
+    assert.equal(await runner.runJob('saved-search-digests'), 0);
+    assert.equal(outbox.length, 0);
+
+    const updated = await SavedSearch.findById(search._id).select('+matchedListings');
+    assert.equal(updated.matchedListings.length, 1);
+  });
+
+  it('keeps the digest failing in the mail transport as an in-app notification', async () => {
+    setTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+
+    const user = await createTestUser(User);
+    await createSearch(user, { city: 'Mohali' });
+    await createListing({ city: 'Mohali' });
+
+    assert.equal(await runner.runJob('saved-search-digests'), 1);
+
+    const notification = await Notification.findOne({ user: user._id, type: 'saved-search.digest' });
+    assert.ok(notification);
+    assert.equal(notification.emailedAt, null);
+  });
+
+  it('sends the digest on a later run when notifying fails', async (t) => {
+    const user = await createTestUser(User);
+    const search = await createSearch(user, { city: 'Mohali' });
+    const fresh = await createListing({ city: 'Mohali' });
+
+    const create = t.mock.method(Notification, 'create', async () => { throw new Error('write conflict'); });
+    assert.equal(await tickDigestJob(), 0);
+    create.mock.restore();
+
+    assert.equal(outbox.length, 0);
+    const released = await SavedSearch.findById(search._id).select('+matchedListings');
+    assert.equal(released.lastRunAt.getTime(), search.lastRunAt.getTime());
+    assert.equal(released.matchedListings.length, 0);
+
+    assert.equal(await tickDigestJob(), 1);
+    assert.equal(outbox.length, 1);
+    assert.ok(outbox[0].text.includes(fresh.name));
+  });
+});